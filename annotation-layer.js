@@ -0,0 +1,142 @@
+/**
+ * @fileOverview Annotation layer shared by the HTML Slidy receiver, which
+ * draws annotations on a transparent canvas above the slideshow, and by the
+ * remote, which draws them on its drawing surface.
+ *
+ * Annotations are strokes. Each stroke has an "id", the "controllerId" of
+ * the remote that drew it (set by the receiver), a "tool" ("pen",
+ * "highlighter" or "eraser"), a "color" ("#rrggbb", ignored by the eraser)
+ * and "points". Points are a flat array of coordinates
+ * [x0, y0, x1, y1, ...] expressed as integers between 0 and
+ * "AnnotationLayer.scale", relative to the width and height of the
+ * slideshow, so that strokes remain compact when they are sent over the
+ * presentation connection.
+ */
+(function () {
+  /**
+   * Resolution of coordinates: coordinates are integers between 0 (left or
+   * top) and this value (right or bottom)
+   */
+  var scale = 1000;
+
+  /**
+   * Rendering of the drawing tools: width of the line relative to the
+   * height of the canvas, opacity, and whether the tool erases what was
+   * drawn before
+   */
+  var tools = {
+    pen: { width: 0.005, alpha: 1, erase: false },
+    highlighter: { width: 0.03, alpha: 0.35, erase: false },
+    eraser: { width: 0.05, alpha: 1, erase: true }
+  };
+
+
+  /**
+   * Creates an annotation layer that draws strokes on the given canvas
+   *
+   * @constructor
+   * @param {HTMLCanvasElement} canvas The canvas, sized through CSS
+   */
+  var AnnotationLayer = function (canvas) {
+    var context = canvas.getContext('2d');
+
+
+    /**
+     * Match the resolution of the canvas with its size on screen. Call
+     * whenever the size of the canvas changes, then render the strokes
+     * again.
+     *
+     * @function
+     */
+    this.resize = function () {
+      var ratio = window.devicePixelRatio || 1;
+      canvas.width = Math.round(canvas.clientWidth * ratio);
+      canvas.height = Math.round(canvas.clientHeight * ratio);
+    };
+
+
+    /**
+     * Draw the given strokes, in order, replacing what the canvas showed
+     *
+     * @function
+     * @param {Array(Object)} strokes The strokes to draw
+     */
+    this.render = function (strokes) {
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      (strokes || []).forEach(function (stroke) {
+        var tool = tools[stroke.tool];
+        var points = stroke.points;
+        if (!tool || (points.length < 2)) {
+          return;
+        }
+        context.save();
+        context.globalCompositeOperation = tool.erase ?
+          'destination-out' : 'source-over';
+        context.globalAlpha = tool.alpha;
+        context.strokeStyle = stroke.color;
+        context.lineWidth = Math.max(tool.width * canvas.height, 1);
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.beginPath();
+        context.moveTo(points[0] * canvas.width / scale,
+          points[1] * canvas.height / scale);
+
+        // A lone point still leaves a dot thanks to the round line cap
+        for (var idx = (points.length > 2) ? 2 : 0; idx < points.length; idx += 2) {
+          context.lineTo(points[idx] * canvas.width / scale,
+            points[idx + 1] * canvas.height / scale);
+        }
+        context.stroke();
+        context.restore();
+      });
+    };
+
+
+    this.resize();
+  };
+
+
+  /**
+   * Convert a position expressed as fractions of the width and height of
+   * the slideshow into stroke coordinates
+   *
+   * @function
+   * @static
+   * @param {Number} x Horizontal position, between 0 (left) and 1 (right)
+   * @param {Number} y Vertical position, between 0 (top) and 1 (bottom)
+   * @return {Array(Number)} The coordinates of the point
+   */
+  AnnotationLayer.toPoint = function (x, y) {
+    return [
+      Math.round(Math.min(Math.max(x, 0), 1) * scale),
+      Math.round(Math.min(Math.max(y, 0), 1) * scale)
+    ];
+  };
+
+
+  /**
+   * Check that the given stroke parameters are valid
+   *
+   * @function
+   * @static
+   * @param {String} tool The drawing tool
+   * @param {String} color The color of the stroke
+   * @param {Array} points The points of the stroke
+   * @return {Boolean} true if the parameters describe a valid stroke
+   */
+  AnnotationLayer.isValidStroke = function (tool, color, points) {
+    return tools.hasOwnProperty(tool) &&
+      !!color.match(/^#[0-9a-fA-F]{6}$/) &&
+      (points.length % 2 === 0) &&
+      points.every(function (coordinate) {
+        return (typeof coordinate === 'number') && (coordinate % 1 === 0) &&
+          (coordinate >= 0) && (coordinate <= scale);
+      });
+  };
+
+
+  AnnotationLayer.scale = scale;
+  AnnotationLayer.tools = Object.keys(tools);
+
+  window.AnnotationLayer = AnnotationLayer;
+})();
@@ -0,0 +1,1132 @@
+/**
+ * @fileOverview Bridge between a slideshow and the HTML Slidy receiver
+ * application, through adapters that hide the differences between slide
+ * frameworks: HTML Slidy, reveal.js (4 or above), Shower (3 or above) and
+ * impress.js.
+ *
+ * Adapters expose the slides of the slideshow, the current slide and
+ * incremental step, speaker notes, and run framework-neutral commands (see
+ * "DeckBridge.commands"). Frameworks do not support all commands, the state
+ * of the slideshow lists the ones the adapter supports.
+ *
+ * The receiver loads the slideshow in a child iframe. When the slideshow is
+ * served from the same origin, the receiver uses this code to control the
+ * slideshow directly. Browsers prevent that when the slideshow is served
+ * from another origin. Such slideshows may include this script, after the
+ * script of the slide framework, to accept commands and report their state
+ * through "postMessage" instead:
+ *
+ * <script src="https://webscreens.github.io/slidyremote/deck-bridge.js"></script>
+ *
+ * The bridge exchanges the messages of the request/response layer (see
+ * presentation-rpc.js) with the parent window, wrapped in a "deckBridge"
+ * property:
+ * - requests: {id, cmd, params}, where "cmd" is "hello" to check that the
+ * bridge is there, "snapshot" to get the state of the slideshow, "mirror"
+ * to get a copy of the current and upcoming slides, or one of the commands
+ * in "DeckBridge.commands"
+ * - results: {id, result} and errors: {id, error, message, cmd}
+ * - a {changed: true} notification whenever the slideshow may have changed
+ * on its own, e.g. when someone uses the keyboard attached to the projector
+ *
+ * The bridge only accepts requests from pages served from the origin of
+ * the slideshow or from the origin of the bridge script itself (where the
+ * HTML Slidy receiver runs). Slideshows may allow other receivers with a
+ * space-separated list of origins in a "data-allowed-origins" attribute:
+ *
+ * <script src="https://webscreens.github.io/slidyremote/deck-bridge.js"
+ *   data-allowed-origins="https://example.org https://slides.example.com"></script>
+ *
+ * Requests from other origins are ignored, so that pages that embed the
+ * slideshow cannot control it or read its speaker notes.
+ */
+(function () {
+  /**
+   * Framework-neutral commands that may be run on a slideshow, with their
+   * parameters:
+   * - next(incremental): move to the next incremental step of the slide if
+   * "incremental" is true, to the next slide otherwise
+   * - previous(incremental): same thing, backwards
+   * - first(), last(): move to the first or last slide
+   * - goto(slideIndex): move to the slide at the given index, starting at 0
+   * - bigger(), smaller(): change the font size
+   * - toggle_toolbar(): show or hide the toolbar (the footer in HTML Slidy)
+   * - toggle_overview(): show all slides at once, or back to one slide
+   * - toggle_toc(), hide_toc(focus): show or hide the table of contents
+   */
+  var commands = [
+    'next',
+    'previous',
+    'first',
+    'last',
+    'goto',
+    'bigger',
+    'smaller',
+    'toggle_toolbar',
+    'toggle_overview',
+    'toggle_toc',
+    'hide_toc'
+  ];
+
+
+  /**
+   * Create an error with the given code
+   *
+   * @function
+   * @private
+   * @param {String} code The error code
+   * @param {String} message A human-readable description of the error
+   * @return {Error} The error, with a "code" property
+   */
+  var createError = function (code, message) {
+    var err = new Error(message);
+    err.code = code;
+    return err;
+  };
+
+
+  /**
+   * Parse the time budget declared on a slide. Budgets may be given in
+   * seconds ("90"), as "m:ss" ("1:30") or with units ("1m30s", "2m", "45s").
+   *
+   * @function
+   * @private
+   * @param {String} value The value of the attribute
+   * @return {Number} The budget in seconds, null if the value is invalid
+   */
+  var parseDuration = function (value) {
+    var match = null;
+    value = (value || '').trim();
+    if (value.match(/^\d+(\.\d+)?$/)) {
+      return parseFloat(value);
+    }
+    match = value.match(/^(\d+):(\d{1,2})$/);
+    if (match) {
+      return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    }
+    match = value.match(/^(?:(\d+)m)?\s*(?:(\d+)s)?$/);
+    if (match && (match[1] || match[2])) {
+      return parseInt(match[1] || '0', 10) * 60 + parseInt(match[2] || '0', 10);
+    }
+    return null;
+  };
+
+
+  /**
+   * Return the title of the given slide, meaning the text of its first
+   * heading
+   *
+   * @function
+   * @private
+   * @param {Element} slide The slide element
+   * @return {String} The title of the slide, an empty string if the slide
+   *  has no heading
+   */
+  var getSlideTitle = function (slide) {
+    var heading = slide ? slide.querySelector('h1, h2, h3, h4, h5, h6') : null;
+    return heading ? heading.textContent.trim() : '';
+  };
+
+
+  /**
+   * Return the text of the given speaker notes elements, keeping line breaks
+   * between blocks and dropping indentation and blank lines
+   *
+   * @function
+   * @private
+   * @param {Array(Element)} elements The notes elements
+   * @return {String} The text of the notes
+   */
+  var getNotesText = function (elements) {
+    return elements.map(function (element) {
+      return element.textContent.split('\n')
+        .map(function (line) {
+          return line.trim();
+        })
+        .filter(function (line) {
+          return !!line;
+        })
+        .join('\n');
+    }).join('\n\n');
+  };
+
+
+  /**
+   * Return the elements that match the given selector within the given
+   * element, as an array
+   *
+   * @function
+   * @private
+   * @param {Element} element The element to search
+   * @param {String} selector The selector
+   * @return {Array(Element)} The matching elements
+   */
+  var findAll = function (element, selector) {
+    return element ?
+      Array.prototype.slice.call(element.querySelectorAll(selector)) : [];
+  };
+
+
+  /**********************************************************************
+  Slide mirror
+  **********************************************************************/
+
+  /**
+   * CSS properties that serialized slides keep inline, indexed by name,
+   * with the initial value of properties that are not inherited. Inherited
+   * properties (null value) are omitted when the element inherits them
+   * from its parent, other properties when they have their initial value,
+   * to keep serialized slides compact.
+   */
+  var mirroredProperties = {
+    'color': null,
+    'font-family': null,
+    'font-size': null,
+    'font-style': null,
+    'font-weight': null,
+    'line-height': null,
+    'letter-spacing': null,
+    'list-style-type': null,
+    'text-align': null,
+    'text-indent': null,
+    'text-transform': null,
+    'visibility': null,
+    'white-space': null,
+    'display': 'inline',
+    'position': 'static',
+    'top': 'auto',
+    'right': 'auto',
+    'bottom': 'auto',
+    'left': 'auto',
+    'float': 'none',
+    'clear': 'none',
+    'box-sizing': 'content-box',
+    'margin-top': '0px',
+    'margin-right': '0px',
+    'margin-bottom': '0px',
+    'margin-left': '0px',
+    'padding-top': '0px',
+    'padding-right': '0px',
+    'padding-bottom': '0px',
+    'padding-left': '0px',
+    'border-top': 'none',
+    'border-right': 'none',
+    'border-bottom': 'none',
+    'border-left': 'none',
+    'border-radius': '0px',
+    'background-color': 'rgba(0, 0, 0, 0)',
+    'background-image': 'none',
+    'background-position': '0% 0%',
+    'background-repeat': 'repeat',
+    'background-size': 'auto',
+    'opacity': '1',
+    'transform': 'none',
+    'overflow': 'visible',
+    'vertical-align': 'baseline',
+    'text-decoration-line': 'none',
+    'flex-direction': 'row',
+    'flex-wrap': 'nowrap',
+    'justify-content': 'normal',
+    'align-items': 'normal',
+    'gap': 'normal',
+    'grid-template-columns': 'none'
+  };
+
+  /**
+   * Elements that never appear in serialized slides
+   */
+  var unmirroredElements = [
+    'script', 'noscript', 'template', 'style', 'link', 'meta'
+  ];
+
+  /**
+   * Attributes that contain URLs, resolved against the URL of the
+   * slideshow in serialized slides
+   */
+  var urlAttributes = ['src', 'href', 'poster', 'data'];
+
+  /**
+   * Elements whose size is kept in serialized slides. The size of other
+   * elements follows from their content.
+   */
+  var sizedElements = [
+    'img', 'svg', 'video', 'canvas', 'iframe', 'object', 'embed'
+  ];
+
+  /**
+   * Maximum length of a serialized slide, in characters. Larger slides are
+   * not serialized as they would clog the presentation connection.
+   */
+  var maxMirrorLength = 200000;
+
+
+  /**
+   * Return the inline style that reproduces the computed style of an
+   * element
+   *
+   * @function
+   * @private
+   * @param {CSSStyleDeclaration} style The computed style of the element
+   * @param {CSSStyleDeclaration} parentStyle The computed style of its
+   *  parent, null for the root of the slide
+   * @param {Boolean} sized Whether to keep the size of the element
+   * @return {String} The inline style
+   */
+  var getMirroredStyle = function (style, parentStyle, sized) {
+    var declarations = [];
+    var positioned = (style.getPropertyValue('position') !== 'static');
+    Object.keys(mirroredProperties).forEach(function (name) {
+      var value = style.getPropertyValue(name);
+      var initial = mirroredProperties[name];
+      if (!value ||
+          ((initial === null) && parentStyle &&
+            (parentStyle.getPropertyValue(name) === value)) ||
+          ((initial !== null) && (value === initial)) ||
+          ((name.indexOf('border-') === 0) &&
+            (style.getPropertyValue(name + '-style') === 'none')) ||
+          (!positioned &&
+            (['top', 'right', 'bottom', 'left'].indexOf(name) !== -1))) {
+        return;
+      }
+      declarations.push(name + ':' + value);
+    });
+    if (sized) {
+      ['width', 'height'].forEach(function (name) {
+        if (style.getPropertyValue(name)) {
+          declarations.push(name + ':' + style.getPropertyValue(name));
+        }
+      });
+    }
+    return declarations.join(';');
+  };
+
+
+  /**
+   * Drop event handlers, IDs and responsive image sources from the
+   * attributes of the given copy of an element, and resolve URLs against
+   * the URL of the slideshow, dropping "javascript:" URLs
+   *
+   * @function
+   * @private
+   * @param {Element} copy The copy of the element, updated in place
+   * @param {Element} node The original element
+   */
+  var filterAttributes = function (copy, node) {
+    Array.prototype.slice.call(copy.attributes).forEach(function (attribute) {
+      var name = attribute.localName;
+      if (name.match(/^on/i) || (name === 'srcset') || (name === 'id')) {
+        copy.removeAttributeNode(attribute);
+      }
+      else if (urlAttributes.indexOf(name) !== -1) {
+        try {
+          var url = new URL(attribute.value, node.ownerDocument.baseURI);
+          if (url.protocol === 'javascript:') {
+            copy.removeAttributeNode(attribute);
+          }
+          else {
+            attribute.value = url.href;
+          }
+        }
+        catch (err) {
+          copy.removeAttributeNode(attribute);
+        }
+      }
+    });
+  };
+
+
+  /**
+   * Copy the given node of an SVG image with its descendants, with the
+   * same filters as other nodes of a slide. SVG images are otherwise kept
+   * as is, their styles are not inlined.
+   *
+   * @function
+   * @private
+   * @param {Node} node The node to copy
+   * @return {Node} A copy of the node, null if the node does not appear in
+   *  the slide
+   */
+  var mirrorSvgNode = function (node) {
+    if (node.nodeType === 3) {
+      return node.cloneNode(false);
+    }
+    if ((node.nodeType !== 1) ||
+        (unmirroredElements.indexOf(node.localName) !== -1)) {
+      return null;
+    }
+    var copy = node.cloneNode(false);
+    filterAttributes(copy, node);
+    Array.prototype.forEach.call(node.childNodes, function (child) {
+      var childCopy = mirrorSvgNode(child);
+      if (childCopy) {
+        copy.appendChild(childCopy);
+      }
+    });
+    return copy;
+  };
+
+
+  /**
+   * Serialize the given node of a slide with inlined styles, dropping
+   * hidden content, scripts and speaker notes
+   *
+   * @function
+   * @private
+   * @param {Window} win The window of the slideshow
+   * @param {Node} node The node to serialize
+   * @param {CSSStyleDeclaration} parentStyle The computed style of the
+   *  parent node, null for the root of the slide
+   * @param {String} notesSelector The selector of speaker notes
+   * @return {Node} A copy of the node, null if the node does not appear in
+   *  the slide
+   */
+  var mirrorNode = function (win, node, parentStyle, notesSelector) {
+    if (node.nodeType === 3) {
+      return node.cloneNode(false);
+    }
+    if (node.nodeType !== 1) {
+      return null;
+    }
+    var tag = node.localName;
+    if ((unmirroredElements.indexOf(tag) !== -1) ||
+        (parentStyle && node.matches(notesSelector))) {
+      return null;
+    }
+    var style = win.getComputedStyle(node);
+    if (parentStyle && (style.getPropertyValue('display') === 'none')) {
+      return null;
+    }
+
+    // Canvases are replaced with an image of their content, SVG images are
+    // copied without inlining styles (see "mirrorSvgNode")
+    var copy = null;
+    if (tag === 'canvas') {
+      copy = node.ownerDocument.createElement('img');
+      try {
+        copy.setAttribute('src', node.toDataURL());
+      }
+      catch (err) {
+        // Tainted canvas, left blank
+      }
+    }
+    else {
+      copy = node.cloneNode(false);
+    }
+
+    filterAttributes(copy, node);
+    if ((tag === 'img') && node.currentSrc) {
+      copy.setAttribute('src', node.currentSrc);
+    }
+    copy.setAttribute('style', getMirroredStyle(style, parentStyle,
+      sizedElements.indexOf(tag) !== -1));
+
+    Array.prototype.forEach.call(node.childNodes, function (child) {
+      var childCopy = (tag === 'svg') ?
+        mirrorSvgNode(child) :
+        mirrorNode(win, child, style, notesSelector);
+      if (childCopy) {
+        copy.appendChild(childCopy);
+      }
+    });
+    return copy;
+  };
+
+
+  /**
+   * Serialize the given slide as it would appear on screen, with inlined
+   * styles and absolute URLs, so that it may be rendered without the
+   * style sheets and scripts of the slideshow
+   *
+   * @function
+   * @private
+   * @param {Window} win The window of the slideshow
+   * @param {Element} slide The slide element
+   * @param {String} notesSelector The selector of speaker notes
+   * @param {Object} size The "width" and "height" to use when the slide is
+   *  not rendered (e.g. the upcoming slide)
+   * @return {Object} The serialized slide, with its "html", "width" and
+   *  "height" in pixels, null if the slide is too large to be serialized
+   */
+  var mirrorSlide = function (win, slide, notesSelector, size) {
+    var copy = mirrorNode(win, slide, null, notesSelector);
+    var width = slide.offsetWidth || size.width;
+    var height = slide.offsetHeight || size.height;
+
+    // The slide may be hidden or moved away by the slide framework, render
+    // it in place, at its own size
+    copy.style.display = (copy.style.display === 'none') ? 'block' : copy.style.display;
+    copy.style.position = 'relative';
+    copy.style.top = 'auto';
+    copy.style.left = 'auto';
+    copy.style.margin = '0';
+    copy.style.visibility = 'visible';
+    copy.style.opacity = '1';
+    copy.style.transform = 'none';
+    copy.style.width = width + 'px';
+    copy.style.height = height + 'px';
+    copy.style.boxSizing = 'border-box';
+    copy.style.overflow = 'hidden';
+
+    var html = copy.outerHTML;
+    return (html.length > maxMirrorLength) ? null : {
+      html: html,
+      width: width,
+      height: height
+    };
+  };
+
+
+
+  /**********************************************************************
+  Slide framework adapters
+  **********************************************************************/
+
+  /**
+   * Adapters for supported slide frameworks, in order of detection.
+   *
+   * Each adapter has a "name", a human-readable "label", a "detect" function
+   * that tells whether the given window runs the framework, and a "create"
+   * function that returns the adapted slideshow for the given window, with:
+   * - notesSelector: selector of speaker notes, hidden on the projected
+   * screen
+   * - durationAttributes: attributes that declare time budgets of slides
+   * - whenReady(): optional, returns a Promise that resolves when the
+   * framework is ready
+   * - init(): optional, prepares the slideshow for projection
+   * - getSlides(): returns the slide elements, in order
+   * - getSlideIndex(): returns the index of the current slide
+   * - getSteps(): returns the current incremental "step" of the current
+   * slide (0 when no incremental item is shown yet) and the "stepCount"
+   * - getNotes(slide): returns the speaker notes elements of the slide
+   * - getView(): optional, returns the "fontSize", whether the table of
+   * contents ("tocVisible") and the toolbar ("toolbarVisible") are visible,
+   * and whether all slides are shown ("overview")
+   * - commands: functions that run the commands that the framework
+   * supports, indexed by name. The "goto" command receives a valid index.
+   */
+  var adapters = [];
+
+
+  /**
+   * HTML Slidy adapter
+   *
+   * Note the adapter reads Slidy internal properties, which may change from
+   * one version of Slidy to another.
+   */
+  adapters.push({
+    name: 'slidy',
+    label: 'HTML Slidy',
+    detect: function (win) {
+      return !!win.w3c_slidy;
+    },
+    create: function (win) {
+      var slidy = win.w3c_slidy;
+      var doc = win.document;
+      return {
+        notesSelector: '.handout',
+        durationAttributes: ['data-duration'],
+        getSlides: function () {
+          return slidy.slides || [];
+        },
+        getSlideIndex: function () {
+          return slidy.slide_number || 0;
+        },
+        getSteps: function () {
+          var incrementals = slidy.incrementals || [];
+          return {
+            step: incrementals.indexOf(slidy.last_shown) + 1,
+            stepCount: incrementals.length
+          };
+        },
+        getNotes: function (slide) {
+          // Slidy accepts handouts within the slide and after the slide
+          var notes = findAll(slide, '.handout');
+          var sibling = slide ? slide.nextElementSibling : null;
+          while (sibling && !sibling.classList.contains('slide')) {
+            if (sibling.classList.contains('handout')) {
+              notes.push(sibling);
+            }
+            sibling = sibling.nextElementSibling;
+          }
+          return notes;
+        },
+        getView: function () {
+          return {
+            fontSize: slidy.sizes ? slidy.sizes[slidy.size_index] :
+              doc.body.style.fontSize,
+            tocVisible: (typeof slidy.is_shown_toc === 'function') ?
+              !!slidy.is_shown_toc() : false,
+            toolbarVisible: !!slidy.toolbar &&
+              (slidy.toolbar.style.display !== 'none'),
+            overview: !!slidy.view_all
+          };
+        },
+        commands: {
+          next: function (incremental) {
+            slidy.next_slide(incremental);
+          },
+          previous: function (incremental) {
+            slidy.previous_slide(incremental);
+          },
+          first: function () {
+            slidy.first_slide();
+          },
+          last: function () {
+            slidy.last_slide();
+          },
+          goto: function (slideIndex) {
+            // Jump silently: the audience should not see the table of
+            // contents
+            if ((typeof slidy.is_shown_toc === 'function') && slidy.is_shown_toc()) {
+              slidy.hide_table_of_contents(false);
+            }
+            slidy.goto_slide(slideIndex);
+          },
+          bigger: function () {
+            slidy.bigger();
+          },
+          smaller: function () {
+            slidy.smaller();
+          },
+          toggle_toolbar: function () {
+            slidy.toggle_toolbar();
+          },
+          toggle_overview: function () {
+            slidy.toggle_view();
+          },
+          toggle_toc: function () {
+            slidy.toggle_table_of_contents();
+          },
+          hide_toc: function (focus) {
+            slidy.hide_table_of_contents(focus);
+          }
+        }
+      };
+    }
+  });
+
+
+  /**
+   * reveal.js adapter
+   *
+   * Slides are counted in document order, vertical slides included. Time
+   * budgets may also be declared with the "data-timing" attribute that the
+   * reveal.js speaker view uses.
+   */
+  adapters.push({
+    name: 'reveal',
+    label: 'reveal.js',
+    detect: function (win) {
+      return !!win.Reveal && (typeof win.Reveal.getSlides === 'function');
+    },
+    create: function (win) {
+      var reveal = win.Reveal;
+      var gotoSlide = function (slideIndex) {
+        var slide = reveal.getSlides()[slideIndex];
+        if (slide) {
+          var indices = reveal.getIndices(slide);
+          reveal.slide(indices.h, indices.v);
+        }
+      };
+      var getSlideIndex = function () {
+        return Math.max(reveal.getSlides().indexOf(reveal.getCurrentSlide()), 0);
+      };
+      return {
+        notesSelector: 'aside.notes',
+        durationAttributes: ['data-duration', 'data-timing'],
+        whenReady: function () {
+          return new Promise(function (resolve) {
+            if (reveal.isReady()) {
+              resolve();
+            }
+            else {
+              reveal.addEventListener('ready', function () {
+                resolve();
+              });
+            }
+          });
+        },
+        getSlides: function () {
+          return reveal.getSlides();
+        },
+        getSlideIndex: getSlideIndex,
+        getSteps: function () {
+          // Fragments that share the same index appear together
+          var indices = [];
+          findAll(reveal.getCurrentSlide(), '.fragment').forEach(function (fragment) {
+            var index = fragment.getAttribute('data-fragment-index');
+            if (indices.indexOf(index) === -1) {
+              indices.push(index);
+            }
+          });
+          var fragment = reveal.getIndices().f;
+          return {
+            step: (typeof fragment === 'number') ? fragment + 1 : 0,
+            stepCount: indices.length
+          };
+        },
+        getNotes: function (slide) {
+          return findAll(slide, 'aside.notes');
+        },
+        getView: function () {
+          return {
+            fontSize: null,
+            tocVisible: false,
+            toolbarVisible: false,
+            overview: reveal.isOverview()
+          };
+        },
+        commands: {
+          next: function (incremental) {
+            if (incremental) {
+              reveal.next();
+            }
+            else {
+              gotoSlide(getSlideIndex() + 1);
+            }
+          },
+          previous: function (incremental) {
+            if (incremental) {
+              reveal.prev();
+            }
+            else {
+              gotoSlide(getSlideIndex() - 1);
+            }
+          },
+          first: function () {
+            gotoSlide(0);
+          },
+          last: function () {
+            gotoSlide(reveal.getSlides().length - 1);
+          },
+          goto: gotoSlide,
+          toggle_overview: function () {
+            reveal.toggleOverview();
+          }
+        }
+      };
+    }
+  });
+
+
+  /**
+   * Shower adapter
+   *
+   * Shower starts in list mode, the adapter switches to full mode to
+   * project the slideshow. Speaker notes are in "footer" elements.
+   */
+  adapters.push({
+    name: 'shower',
+    label: 'Shower',
+    detect: function (win) {
+      return !!win.shower && Array.isArray(win.shower.slides) &&
+        (typeof win.shower.goTo === 'function');
+    },
+    create: function (win) {
+      var shower = win.shower;
+      var getActiveSlide = function () {
+        var slide = shower.slides[shower.activeSlideIndex];
+        return slide ? slide.element : null;
+      };
+      return {
+        notesSelector: '.slide footer',
+        durationAttributes: ['data-duration'],
+        init: function () {
+          if (!shower.isFullMode) {
+            if (shower.activeSlideIndex === -1) {
+              shower.goTo(0);
+            }
+            shower.enterFullMode();
+          }
+        },
+        getSlides: function () {
+          return shower.slides.map(function (slide) {
+            return slide.element;
+          });
+        },
+        getSlideIndex: function () {
+          return Math.max(shower.activeSlideIndex, 0);
+        },
+        getSteps: function () {
+          var slide = getActiveSlide();
+          return {
+            step: findAll(slide, '.next.active, .next.visited').length,
+            stepCount: findAll(slide, '.next').length
+          };
+        },
+        getNotes: function (slide) {
+          return findAll(slide, 'footer');
+        },
+        getView: function () {
+          return {
+            fontSize: null,
+            tocVisible: false,
+            toolbarVisible: false,
+            overview: !shower.isFullMode
+          };
+        },
+        commands: {
+          next: function (incremental) {
+            // Forced moves skip inner steps
+            shower.next(!incremental);
+          },
+          previous: function (incremental) {
+            shower.prev(!incremental);
+          },
+          first: function () {
+            shower.first();
+          },
+          last: function () {
+            shower.last();
+          },
+          goto: function (slideIndex) {
+            shower.goTo(slideIndex);
+          },
+          toggle_overview: function () {
+            if (shower.isFullMode) {
+              shower.exitFullMode();
+            }
+            else {
+              shower.enterFullMode();
+            }
+          }
+        }
+      };
+    }
+  });
+
+
+  /**
+   * impress.js adapter
+   *
+   * Steps of impress.js are slides from the remote's perspective, and
+   * substeps are incremental steps.
+   */
+  adapters.push({
+    name: 'impress',
+    label: 'impress.js',
+    detect: function (win) {
+      return (typeof win.impress === 'function') &&
+        !!win.document.getElementById('impress');
+    },
+    create: function (win) {
+      var doc = win.document;
+      var api = win.impress();
+      var getSlides = function () {
+        return findAll(doc.getElementById('impress'), '.step');
+      };
+      var getSlideIndex = function () {
+        return Math.max(getSlides().indexOf(
+          doc.querySelector('#impress .step.active')), 0);
+      };
+      var gotoSlide = function (slideIndex) {
+        if ((slideIndex >= 0) && (slideIndex < getSlides().length)) {
+          api.goto(slideIndex);
+        }
+      };
+      return {
+        notesSelector: '#impress .notes',
+        durationAttributes: ['data-duration'],
+        getSlides: getSlides,
+        getSlideIndex: getSlideIndex,
+        getSteps: function () {
+          var slide = getSlides()[getSlideIndex()];
+          return {
+            step: findAll(slide, '.substep-visible').length,
+            stepCount: findAll(slide, '.substep').length
+          };
+        },
+        getNotes: function (slide) {
+          return findAll(slide, '.notes');
+        },
+        commands: {
+          next: function (incremental) {
+            if (incremental) {
+              api.next();
+            }
+            else {
+              gotoSlide(getSlideIndex() + 1);
+            }
+          },
+          previous: function (incremental) {
+            if (incremental) {
+              api.prev();
+            }
+            else {
+              gotoSlide(getSlideIndex() - 1);
+            }
+          },
+          first: function () {
+            gotoSlide(0);
+          },
+          last: function () {
+            gotoSlide(getSlides().length - 1);
+          },
+          goto: gotoSlide
+        }
+      };
+    }
+  });
+
+
+
+  /**********************************************************************
+  Framework-neutral slideshow
+  **********************************************************************/
+
+  /**
+   * Connect to the slideshow that runs in the given window
+   *
+   * The returned slideshow exposes:
+   * - framework: the name of the slide framework
+   * - getSnapshot(): returns the "state" of the slideshow (see
+   * "w3c_slidy.getPresentationState" in slidy-remote.js, without "url"), the
+   * "notes" of the current slide and the titles of the "slides"
+   * - getMirror(): returns a copy of the current slide as the audience sees
+   * it ("current") and of the upcoming slide ("next"), serialized with
+   * inlined styles, with the "slideIndex" and incremental "step" of the
+   * current slide and the "background" color of the slideshow (see
+   * "mirrorSlide")
+   * - run(name, params): runs the given command. Throws an error with an
+   * "unsupported-command" code if the framework does not support it.
+   *
+   * @function
+   * @param {Window} win The window of the slideshow
+   * @return {Promise} The promise to get the slideshow once the framework is
+   *  ready, null if the window does not run any supported framework
+   */
+  var connect = function (win) {
+    var adapter = null;
+    adapters.some(function (candidate) {
+      if (candidate.detect(win)) {
+        adapter = candidate;
+        return true;
+      }
+      return false;
+    });
+    if (!adapter) {
+      return Promise.resolve(null);
+    }
+
+    var deck = adapter.create(win);
+    var doc = win.document;
+    var supported = commands.filter(function (name) {
+      return deck.commands.hasOwnProperty(name);
+    });
+
+    var getDuration = function (slide) {
+      var duration = null;
+      deck.durationAttributes.some(function (attribute) {
+        duration = parseDuration(slide.getAttribute(attribute));
+        return duration !== null;
+      });
+      return duration;
+    };
+
+    var getSnapshot = function () {
+      var slides = deck.getSlides();
+      var slideIndex = deck.getSlideIndex();
+      var slide = slides[slideIndex];
+      var steps = deck.getSteps();
+      var view = deck.getView ? deck.getView() : {};
+      return {
+        state: {
+          framework: adapter.name,
+          commands: supported,
+          slideIndex: slideIndex,
+          slideCount: slides.length,
+          title: getSlideTitle(slide) || doc.title,
+          step: steps.step,
+          stepCount: steps.stepCount,
+          fontSize: view.fontSize || null,
+          tocVisible: !!view.tocVisible,
+          toolbarVisible: !!view.toolbarVisible,
+          overview: !!view.overview,
+          durations: slides.map(getDuration)
+        },
+        notes: {
+          slideIndex: slideIndex,
+          text: slide ? getNotesText(deck.getNotes(slide)) : ''
+        },
+        slides: slides.map(getSlideTitle)
+      };
+    };
+
+    var getMirror = function () {
+      var slides = deck.getSlides();
+      var slideIndex = deck.getSlideIndex();
+      var slide = slides[slideIndex];
+      var next = slides[slideIndex + 1];
+      var size = {
+        width: (slide && slide.offsetWidth) || win.innerWidth,
+        height: (slide && slide.offsetHeight) || win.innerHeight
+      };
+      return {
+        slideIndex: slideIndex,
+        step: deck.getSteps().step,
+        background: doc.body ?
+          win.getComputedStyle(doc.body).getPropertyValue('background-color') :
+          null,
+        current: slide ? mirrorSlide(win, slide, deck.notesSelector, size) : null,
+        next: next ? mirrorSlide(win, next, deck.notesSelector, size) : null
+      };
+    };
+
+    var run = function (name, params) {
+      params = params || [];
+      if (supported.indexOf(name) === -1) {
+        throw createError('unsupported-command', 'Command "' + name +
+          '" is not supported by ' + adapter.label);
+      }
+      if ((name === 'goto') &&
+          ((params[0] < 0) || (params[0] >= deck.getSlides().length))) {
+        throw new Error('No slide at index ' + params[0]);
+      }
+      deck.commands[name].apply(null, params);
+    };
+
+    var ready = deck.whenReady ? deck.whenReady() : Promise.resolve();
+    return ready.then(function () {
+      // Speaker notes must never appear on the projected screen
+      if (doc.head && !doc.getElementById('deckbridge-hide-notes')) {
+        var style = doc.createElement('style');
+        style.id = 'deckbridge-hide-notes';
+        style.textContent = deck.notesSelector + ' { display: none !important; }';
+        doc.head.appendChild(style);
+      }
+      if (deck.init) {
+        deck.init();
+      }
+      return {
+        framework: adapter.name,
+        getSnapshot: getSnapshot,
+        getMirror: getMirror,
+        run: run
+      };
+    });
+  };
+
+
+  window.DeckBridge = {
+    commands: commands,
+    adapters: adapters,
+    connect: connect
+  };
+
+
+
+  /**********************************************************************
+  Bridge mode, when the script runs within a slideshow in a child iframe
+  **********************************************************************/
+
+  if (window.parent === window) {
+    return;
+  }
+
+  /**
+   * Origins from which the parent window may control the slideshow: the
+   * origin of the slideshow, the origin of the bridge script, and the
+   * origins listed in the "data-allowed-origins" attribute of the script
+   */
+  var allowedOrigins = [window.location.origin];
+  (function (script) {
+    if (!script) {
+      return;
+    }
+    if (script.src) {
+      allowedOrigins.push(new URL(script.src, window.location.href).origin);
+    }
+    allowedOrigins = allowedOrigins.concat(
+      (script.getAttribute('data-allowed-origins') || '').split(/\s+/)
+        .filter(function (origin) {
+          return !!origin;
+        }));
+  })(document.currentScript);
+
+  /**
+   * Origin of the parent window, known after the first request
+   */
+  var parentOrigin = null;
+
+  /**
+   * Promise to get the slideshow, set upon first request
+   */
+  var connection = null;
+
+  /**
+   * Send a message to the parent window
+   *
+   * @function
+   * @private
+   * @param {Object} message The message to send
+   */
+  var postToParent = function (message) {
+    if (parentOrigin) {
+      window.parent.postMessage({ deckBridge: message }, parentOrigin);
+    }
+  };
+
+  window.addEventListener('message', function (event) {
+    var request = event.data ? event.data.deckBridge : null;
+    if ((event.source !== window.parent) || !request ||
+        (typeof request.cmd !== 'string')) {
+      return;
+    }
+    if (allowedOrigins.indexOf(event.origin) === -1) {
+      console.warn('deck bridge: reject request from unexpected origin',
+        event.origin);
+      return;
+    }
+    parentOrigin = event.origin;
+
+    if (request.cmd === 'hello') {
+      postToParent({ id: request.id, result: true });
+      return;
+    }
+
+    connection = connection || connect(window);
+    connection.then(function (deck) {
+      if (!deck) {
+        throw createError('deck-unsupported',
+          'No supported slide framework found');
+      }
+      if ((request.cmd !== 'snapshot') && (request.cmd !== 'mirror')) {
+        deck.run(request.cmd, request.params);
+      }
+      postToParent({
+        id: request.id,
+        result: (request.cmd === 'mirror') ? deck.getMirror() : deck.getSnapshot()
+      });
+    }).catch(function (err) {
+      postToParent({
+        id: request.id,
+        error: err.code || 'command-failed',
+        message: err.message,
+        cmd: request.cmd
+      });
+    });
+  });
+
+  // Report changes that do not come from the receiver, once it is known,
+  // after the slide framework has updated itself
+  var changeScheduled = false;
+  [
+    'keydown',
+    'keyup',
+    'click',
+    'touchend',
+    'hashchange',
+    'resize'
+  ].forEach(function (type) {
+    window.addEventListener(type, function () {
+      if (changeScheduled) {
+        return;
+      }
+      changeScheduled = true;
+      setTimeout(function () {
+        changeScheduled = false;
+        postToParent({ changed: true });
+      }, 0);
+    }, true);
+  });
+})();
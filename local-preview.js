@@ -0,0 +1,389 @@
+/**
+ * @fileOverview Local preview of the slideshow on the device of the
+ * presenter, used by the HTML Slidy remote.
+ *
+ * The preview loads the same slideshow as the receiver in a local iframe
+ * that the presenter cannot interact with, and controls it with the deck
+ * bridge (see deck-bridge.js): directly when the slideshow is served from
+ * the same origin as the remote, through "postMessage" when the slideshow
+ * includes the deck bridge script.
+ *
+ * The preview runs the slideshow commands sent to the receiver, and gets
+ * brought back to the slide and incremental step that the receiver reports,
+ * in case it missed a change (e.g. when someone uses the keyboard attached
+ * to the projector). Other changes, such as the font size, are not
+ * synchronized.
+ */
+(function () {
+  /**
+   * Time to wait for the slideshow to load, in milliseconds
+   */
+  var loadTimeout = 20000;
+
+  /**
+   * Time to wait for the deck bridge of a slideshow served from another
+   * origin to reply, in milliseconds
+   */
+  var bridgeTimeout = 2000;
+
+  /**
+   * Time to wait before synchronizing the preview with the position that
+   * the receiver reports, in milliseconds, so that commands that are still
+   * on their way to the receiver do not make the preview go back and forth
+   */
+  var syncDelay = 250;
+
+
+  /**
+   * Creates a local preview that runs slideshows in the given iframe
+   *
+   * @constructor
+   * @param {HTMLIFrameElement} iframe The iframe, sized through CSS
+   */
+  var LocalPreview = function (iframe) {
+    var that = this;
+
+    /**
+     * URL of the slideshow that the preview runs, null if none
+     */
+    var slideshowUrl = null;
+
+    /**
+     * The controlled slideshow, null while it loads. The object exposes
+     * "run(name, params)" and "snapshot()", which return promises that
+     * resolve with a snapshot of the slideshow (see "DeckBridge.connect"),
+     * and "close()".
+     */
+    var deck = null;
+
+    /**
+     * Number of slideshow loads so far, used to ignore the outcome of loads
+     * that were superseded by another one
+     */
+    var loadCount = 0;
+
+    /**
+     * Timer that reports a failure when the slideshow takes too long to
+     * load
+     */
+    var loadTimer = null;
+
+    /**
+     * Commands and synchronizations run one after the other on the
+     * slideshow, in order
+     */
+    var queue = Promise.resolve();
+
+    /**
+     * Slide and incremental step that the preview should show, as last
+     * reported by the receiver, and timer that synchronizes the preview
+     */
+    var target = null;
+    var syncTimer = null;
+
+
+    /**
+     * Status of the preview: "closed", "loading", "ready" or "error"
+     */
+    this.status = 'closed';
+
+    /**
+     * Error that the preview ran into, when the status is "error"
+     */
+    this.error = null;
+
+    /**
+     * Function called whenever the status of the preview changes
+     *
+     * @type {function}
+     */
+    this.onstatuschange = null;
+
+
+    /**
+     * Update the status of the preview
+     *
+     * @function
+     * @private
+     * @param {String} status The new status
+     * @param {Error} error The error, for the "error" status
+     */
+    var setStatus = function (status, error) {
+      that.status = status;
+      that.error = error || null;
+      if (that.onstatuschange) {
+        that.onstatuschange(status, that.error);
+      }
+    };
+
+
+    /**
+     * Control the slideshow through the deck bridge that it includes, on
+     * top of "postMessage"
+     *
+     * @function
+     * @private
+     * @return {Promise} The promise to get the controlled slideshow, rejected
+     *  if the bridge does not reply
+     */
+    var connectBridgedDeck = function () {
+      var win = iframe.contentWindow;
+      var origin = new URL(slideshowUrl).origin;
+      var listeners = [];
+
+      var frameMessageHandler = function (event) {
+        var message = event.data ? event.data.deckBridge : null;
+        if ((event.source !== win) || (event.origin !== origin) || !message) {
+          return;
+        }
+        listeners.forEach(function (listener) {
+          listener({ data: message });
+        });
+      };
+
+      // Minimal connection-like wrapper around the iframe window
+      var channel = {
+        state: 'connected',
+        send: function (message) {
+          win.postMessage({ deckBridge: message }, origin);
+        },
+        addEventListener: function (type, listener) {
+          if (type === 'message') {
+            listeners.push(listener);
+          }
+        },
+        removeEventListener: function (type, listener) {
+          listeners = listeners.filter(function (registered) {
+            return registered !== listener;
+          });
+        }
+      };
+
+      window.addEventListener('message', frameMessageHandler);
+      var bridgeRpc = new window.PresentationRpc(channel, { timeout: bridgeTimeout });
+      var bridgedDeck = {
+        run: function (name, params) {
+          return bridgeRpc.call(name, params);
+        },
+        snapshot: function () {
+          return bridgeRpc.call('snapshot');
+        },
+        close: function () {
+          bridgeRpc.close();
+          window.removeEventListener('message', frameMessageHandler);
+        }
+      };
+
+      return bridgeRpc.call('hello').then(function () {
+        return bridgeRpc.call('snapshot', [], loadTimeout);
+      }, function () {
+        throw new Error('The slideshow is served from another origin and ' +
+          'does not include the deck bridge script');
+      }).then(function () {
+        return bridgedDeck;
+      }, function (err) {
+        bridgedDeck.close();
+        throw err;
+      });
+    };
+
+
+    /**
+     * Find a way to control the slideshow loaded in the iframe
+     *
+     * @function
+     * @private
+     * @return {Promise} The promise to get the controlled slideshow
+     */
+    var findDeck = function () {
+      var doc = null;
+      try {
+        doc = iframe.contentDocument;
+      }
+      catch (err) {
+        doc = null;
+      }
+      if (!doc) {
+        return connectBridgedDeck();
+      }
+
+      return window.DeckBridge.connect(iframe.contentWindow).then(function (slideshow) {
+        if (!slideshow) {
+          throw new Error('The slideshow does not run any supported slide framework');
+        }
+        return {
+          run: function (name, params) {
+            return new Promise(function (resolve) {
+              slideshow.run(name, params);
+              resolve(slideshow.getSnapshot());
+            });
+          },
+          snapshot: function () {
+            return new Promise(function (resolve) {
+              resolve(slideshow.getSnapshot());
+            });
+          },
+          close: function () {}
+        };
+      });
+    };
+
+
+    /**
+     * Run the given operation on the slideshow once previous ones are over.
+     * Operations are dropped while no slideshow is loaded.
+     *
+     * @function
+     * @private
+     * @param {function} operation The operation, which takes the slideshow
+     *  and may return a promise
+     */
+    var enqueue = function (operation) {
+      queue = queue.then(function () {
+        if (deck) {
+          return operation(deck);
+        }
+      }).catch(function (err) {
+        console.warn('Local preview: ' + err.message);
+      });
+    };
+
+
+    /**
+     * Bring the slideshow to the slide and incremental step that the
+     * receiver last reported
+     *
+     * @function
+     * @private
+     */
+    var synchronize = function () {
+      syncTimer = null;
+      enqueue(function (slideshow) {
+        return slideshow.snapshot().then(function (snapshot) {
+          var position = target;
+          var state = snapshot.state;
+          if (!position || ((state.slideIndex === position.slideIndex) &&
+              (state.step === position.step))) {
+            return;
+          }
+          var steps = slideshow.run('goto', [position.slideIndex]);
+          for (var step = 0; step < position.step; step++) {
+            steps = steps.then(function () {
+              return slideshow.run('next', [true]);
+            });
+          }
+          return steps;
+        });
+      });
+    };
+
+
+    /**
+     * Load the slideshow at the given URL in the preview, unless the preview
+     * already runs it
+     *
+     * @function
+     * @param {String} url The URL of the slideshow
+     */
+    this.open = function (url) {
+      if ((url === slideshowUrl) && (that.status !== 'error')) {
+        return;
+      }
+      that.close();
+      slideshowUrl = url;
+      loadCount += 1;
+      var load = loadCount;
+      setStatus('loading');
+
+      iframe.onload = function () {
+        if (load !== loadCount) {
+          return;
+        }
+        findDeck().then(function (newDeck) {
+          if (load !== loadCount) {
+            newDeck.close();
+            return;
+          }
+          clearTimeout(loadTimer);
+          deck = newDeck;
+          setStatus('ready');
+          synchronize();
+        }).catch(function (err) {
+          if (load === loadCount) {
+            clearTimeout(loadTimer);
+            setStatus('error', err);
+          }
+        });
+      };
+      loadTimer = setTimeout(function () {
+        if (load === loadCount) {
+          setStatus('error', new Error('The slideshow took too long to load'));
+        }
+      }, loadTimeout);
+      iframe.src = url;
+    };
+
+
+    /**
+     * Run the given framework-neutral command on the slideshow (see
+     * "DeckBridge.commands" in deck-bridge.js). Other commands, and
+     * commands that the slide framework does not support, are ignored.
+     *
+     * @function
+     * @param {String} cmd The name of the command
+     * @param {Array} params The parameters of the command, if any
+     */
+    this.run = function (cmd, params) {
+      if (window.DeckBridge.commands.indexOf(cmd) === -1) {
+        return;
+      }
+      enqueue(function (slideshow) {
+        return slideshow.run(cmd, params);
+      });
+    };
+
+
+    /**
+     * Bring the preview to the given slide and incremental step, shortly,
+     * unless it reaches that position on its own in the meantime
+     *
+     * @function
+     * @param {Object} position The "slideIndex" and "step" reported by the
+     *  receiver
+     */
+    this.sync = function (position) {
+      target = position;
+      clearTimeout(syncTimer);
+      syncTimer = setTimeout(synchronize, syncDelay);
+    };
+
+
+    /**
+     * Unload the slideshow from the preview
+     *
+     * @function
+     */
+    this.close = function () {
+      loadCount += 1;
+      clearTimeout(loadTimer);
+      clearTimeout(syncTimer);
+      syncTimer = null;
+      target = null;
+      if (deck) {
+        deck.close();
+        deck = null;
+      }
+      if (slideshowUrl) {
+        slideshowUrl = null;
+        iframe.onload = null;
+        iframe.src = 'about:blank';
+      }
+      if (that.status !== 'closed') {
+        setStatus('closed');
+      }
+    };
+  };
+
+
+  window.LocalPreview = LocalPreview;
+})();
@@ -15,22 +15,31 @@
  *
  * Other restrictions:
  * - the code uses Promises, underlying Web browser needs to support them
- * - support for custom events is fairly limited. Only the "on" properties
- * are supported to attach to events on exposed objects, no way to use
- * "addEventListener" for the time being.
+ * - events are dispatched by the shim's own EventTarget implementation.
+ * Exposed objects support "addEventListener", "removeEventListener" and
+ * "dispatchEvent" alongside the "on" properties, but they are not DOM nodes
+ * and the events they fire are not native Event instances.
  * - The Cast sender library [3] needs to be loaded before that code if one
  * wants to support Chromecast devices.
- * - the code does not properly handle cases where the receiver calls
- *  "connection.close()".
+ * - the user selects the display to present to in an in-page dialog.
+ * Applications may replace that dialog with their own user interface
+ * through a call to:
+ *  navigator.w3cPresentation.setDisplayPicker(picker)
+ * - closing a connection on either side sends a control message to the
+ * other side. Mechanisms that cannot exchange messages reliably (e.g. when
+ * a window is being unloaded) may fail to deliver it.
  *
- * The code below is divided in 4 parts:
+ * The code below is divided in 5 parts:
  *  a) a few helper functions and the definition of base classes to be used
  *     by the different presentation mechanisms that are supported
  *  b) the definition of the CastPresentationMechanism class that allows the
  *     polyfill to interact with Chromecast devices through the Chrome extension
  *  c) the definition of the WindowPresentationMechanism class that allows the
  *     polyfill to create presentations in a new window
- *  d) the actual definition of "navigator.presentation" and of the other
+ *  d) the definition of the BroadcastChannelPresentationMechanism class that
+ *     allows the polyfill to connect to receiving pages that run in other
+ *     tabs or windows of the same origin
+ *  e) the actual definition of "navigator.presentation" and of the other
  *     related classes
  * The different interfaces could be moved to their own JS file, modules are
  * not used here not to have to introduce dependencies to some module loader
@@ -100,6 +109,174 @@
   };
 
 
+  /**********************************************************************
+  Shim for events and event targets. Native Event objects cannot be
+  dispatched on objects that are not DOM nodes, so the shim needs its own
+  implementation of the interfaces.
+  **********************************************************************/
+
+  /**
+   * Basic event
+   *
+   * @constructor
+   * @param {String} type The type of the event (e.g. "statechange")
+   * @param {Object} eventInitDict Event initialization dictionary
+   */
+  var _Event = function (type, eventInitDict) {
+    var that = this;
+    eventInitDict = eventInitDict || {};
+
+    this.type = type;
+    this.target = null;
+    this.currentTarget = null;
+    this.bubbles = !!eventInitDict.bubbles;
+    this.cancelable = !!eventInitDict.cancelable;
+    this.defaultPrevented = false;
+    this.timeStamp = Date.now();
+
+    /**
+     * Whether "stopImmediatePropagation" was called
+     *
+     * @type {Boolean}
+     * @private
+     */
+    this._stopped = false;
+
+    this.preventDefault = function () {
+      if (that.cancelable) {
+        that.defaultPrevented = true;
+      }
+    };
+
+    this.stopPropagation = function () {};
+
+    this.stopImmediatePropagation = function () {
+      that._stopped = true;
+    };
+  };
+
+
+  /**
+   * Event fired when a message is received on a presentation connection
+   *
+   * @constructor
+   * @inherits {_Event}
+   * @param {String} type The type of the event (typically "message")
+   * @param {data:*} eventInitDict Event initialization dictionary
+   */
+  var _MessageEvent = function (type, eventInitDict) {
+    eventInitDict = eventInitDict || {};
+    _Event.call(this, type, eventInitDict);
+    this.data = (eventInitDict.data === undefined) ? null : eventInitDict.data;
+    this.origin = eventInitDict.origin || '';
+    this.lastEventId = '';
+    this.source = null;
+    this.ports = [];
+  };
+
+
+  /**
+   * Base class for objects that may receive events and have listeners for
+   * them.
+   *
+   * Listeners may be attached with "addEventListener" and through the
+   * corresponding "on" event handler property (e.g. "onmessage" for the
+   * "message" event). The event handler property is invoked before the
+   * listeners attached through "addEventListener".
+   *
+   * @constructor
+   */
+  var EventTarget = function () {
+    var that = this;
+
+    /**
+     * Listeners attached to this object, indexed by event type
+     *
+     * @type {Object}
+     * @private
+     */
+    var listeners = {};
+
+
+    /**
+     * Attach a listener for the given event type
+     *
+     * @function
+     * @param {String} type The event type
+     * @param {function|Object} callback The listener, either a function or an
+     * object that exposes a "handleEvent" function
+     */
+    this.addEventListener = function (type, callback) {
+      if (!callback) {
+        return;
+      }
+      listeners[type] = listeners[type] || [];
+      if (listeners[type].indexOf(callback) === -1) {
+        listeners[type].push(callback);
+      }
+    };
+
+
+    /**
+     * Detach a listener previously attached for the given event type
+     *
+     * @function
+     * @param {String} type The event type
+     * @param {function|Object} callback The listener to detach
+     */
+    this.removeEventListener = function (type, callback) {
+      if (!listeners[type]) {
+        return;
+      }
+      var idx = listeners[type].indexOf(callback);
+      if (idx !== -1) {
+        listeners[type].splice(idx, 1);
+      }
+    };
+
+
+    /**
+     * Dispatch the given event to the "on" event handler property and to the
+     * listeners attached for the event type.
+     *
+     * Exceptions thrown by listeners are reported but do not prevent other
+     * listeners from running.
+     *
+     * @function
+     * @param {_Event} event The event to dispatch
+     * @return {Boolean} false if one of the listeners canceled the event,
+     * true otherwise
+     */
+    this.dispatchEvent = function (event) {
+      event.target = that;
+      event.currentTarget = that;
+
+      var handler = that['on' + event.type];
+      var callbacks = (typeof handler === 'function') ? [handler] : [];
+      callbacks = callbacks.concat(listeners[event.type] || []);
+      callbacks.forEach(function (callback) {
+        if (event._stopped) {
+          return;
+        }
+        try {
+          if (typeof callback === 'function') {
+            callback.call(that, event);
+          }
+          else if (callback && (typeof callback.handleEvent === 'function')) {
+            callback.handleEvent(event);
+          }
+        }
+        catch (err) {
+          log('error', 'uncaught exception in "' + event.type + '" listener', err);
+        }
+      });
+
+      event.currentTarget = null;
+      return !event.defaultPrevented;
+    };
+  };
+
+
 
 
   /**********************************************************************
@@ -123,6 +300,126 @@
    */
   var registerPresentationMechanism = function (mechanism) {
     registeredMechanisms.push(mechanism);
+    if (displayMonitoring) {
+      displayMonitoring = Promise.all([
+        displayMonitoring,
+        monitorMechanismDisplays(mechanism)
+      ]);
+    }
+  };
+
+
+  /**
+   * The list of available presentation displays, kept up to date by the
+   * registered mechanisms once monitoring has started.
+   *
+   * @type {Array(Display)}
+   */
+  var listOfAvailablePresentationDisplays = [];
+
+
+  /**
+   * The set of availability objects requested through the getAvailability
+   * method of PresentationRequest.
+   *
+   * @type {Array({A:PresentationAvailability, availabilityUrl:String})}
+   */
+  var setOfAvailabilityObjects = [];
+
+
+  /**
+   * The promise that the registered mechanisms will have reported their
+   * initial list of displays, set when monitoring starts
+   *
+   * @type {Promise}
+   */
+  var displayMonitoring = null;
+
+
+  /**
+   * Update the value of all availability objects against the current list
+   * of available presentation displays, firing a "change" event on those
+   * whose value changed.
+   *
+   * @function
+   * @private
+   */
+  var updateAvailabilityObjects = function () {
+    setOfAvailabilityObjects.forEach(function (availabilityObject) {
+      var newAvailability = listOfAvailablePresentationDisplays.some(
+        function (display) {
+          return display.canPresent(availabilityObject.availabilityUrl);
+        });
+      if (availabilityObject.A.value !== newAvailability) {
+        queueTask(function () {
+          if (availabilityObject.A.value === newAvailability) {
+            return;
+          }
+          log('info', 'availability of displays for',
+            availabilityObject.availabilityUrl, 'changed to', newAvailability);
+          availabilityObject.A.value = newAvailability;
+          availabilityObject.A.dispatchEvent(new _Event('change'));
+        });
+      }
+    });
+  };
+
+
+  /**
+   * Start to monitor displays reported by the given mechanism
+   *
+   * @function
+   * @private
+   * @param {PresentationMechanism} mechanism The mechanism to monitor
+   * @return {Promise} The promise that the mechanism will have reported its
+   * initial list of displays. The promise is never rejected.
+   */
+  var monitorMechanismDisplays = function (mechanism) {
+    mechanism.ondisplayavailable = function (display) {
+      if (listOfAvailablePresentationDisplays.indexOf(display) !== -1) {
+        return;
+      }
+      display.mechanism = mechanism;
+      log('display "' + display.name + '" is available',
+        '(' + mechanism.name + ')');
+      listOfAvailablePresentationDisplays.push(display);
+      updateAvailabilityObjects();
+    };
+    mechanism.ondisplayunavailable = function (display) {
+      var idx = listOfAvailablePresentationDisplays.indexOf(display);
+      if (idx === -1) {
+        return;
+      }
+      log('display "' + display.name + '" is no longer available',
+        '(' + mechanism.name + ')');
+      listOfAvailablePresentationDisplays.splice(idx, 1);
+      updateAvailabilityObjects();
+    };
+    return mechanism.monitorAvailableDisplays().catch(function (err) {
+      log('warn', 'could not monitor displays', '(' + mechanism.name + ')', err);
+    });
+  };
+
+
+  /**
+   * Start to monitor the list of available presentation displays on all
+   * registered mechanisms, if not already done.
+   *
+   * Monitoring is never stopped once started. Mechanisms registered
+   * afterwards are monitored as soon as they get registered.
+   *
+   * @function
+   * @private
+   * @return {Promise} The promise that all registered mechanisms will have
+   * reported their initial list of displays. The promise is never rejected.
+   */
+  var monitorAvailablePresentationDisplays = function () {
+    if (!displayMonitoring) {
+      log('start monitoring displays on registered mechanisms');
+      displayMonitoring = Promise.all(
+        registeredMechanisms.map(monitorMechanismDisplays));
+    }
+    return displayMonitoring;
   };
 
 
@@ -149,6 +446,23 @@
     this.state = 'closed';
 
 
+    /**
+     * The reason why the channel was closed, one of "closed", "error" or
+     * "wentaway" (set when the state becomes "closed")
+     *
+     * @type {String}
+     */
+    this.closeReason = null;
+
+
+    /**
+     * A human-readable message that details why the channel was closed
+     *
+     * @type {String}
+     */
+    this.closeMessage = null;
+
+
     /**
      * Sends a message through the communication channel.
      *
@@ -171,16 +485,64 @@
     this.onmessage = null;
 
 
+    /**
+     * Event handler called when the state of the channel changes
+     *
+     * @type {EventHandler}
+     */
+    this.onstatechange = null;
+
+
     /**
      * Close the communication channel
      *
+     * Mechanisms must override that method to notify the remote peer with a
+     * close control message (see "createCloseMessage") and release the
+     * underlying resources before calling "markClosed".
+     *
      * @function
+     * @param {String} reason The reason for closing the channel, "closed" by
+     * default
+     * @param {String} message A human-readable message that details the reason
      */
-    this.close = function () {
+    this.close = function (reason, message) {
+      that.markClosed(reason, message);
+    };
+
+
+    /**
+     * Move the channel to the "closed" state without notifying the remote
+     * peer, typically because the remote peer closed the channel.
+     *
+     * @function
+     * @param {String} reason The reason why the channel got closed, "closed"
+     * by default
+     * @param {String} message A human-readable message that details the reason
+     */
+    this.markClosed = function (reason, message) {
       if (that.state !== 'connected') {
         return;
       }
       that.state = 'closed';
+      that.closeReason = reason || 'closed';
+      that.closeMessage = message || '';
+      if (that.onstatechange) {
+        that.onstatechange();
+      }
+    };
+
+
+    /**
+     * Move the channel to the "terminated" state, because the presentation
+     * was terminated on the remote side
+     *
+     * @function
+     */
+    this.markTerminated = function () {
+      if (that.state === 'terminated') {
+        return;
+      }
+      that.state = 'terminated';
       if (that.onstatechange) {
         that.onstatechange();
       }
@@ -188,6 +550,61 @@
   };
 
 
+  /**
+   * Create the control message that tells the remote peer that the data
+   * channel is being closed
+   *
+   * @function
+   * @private
+   * @param {String} reason The reason for closing the channel
+   * @param {String} message A human-readable message that details the reason
+   * @return {Object} The control message to send to the remote peer
+   */
+  var createCloseMessage = function (reason, message) {
+    return {
+      presentationControl: 'close',
+      reason: reason || 'closed',
+      message: message || ''
+    };
+  };
+
+
+  /**
+   * Whether the given message is a close control message sent by the remote
+   * peer
+   *
+   * @function
+   * @private
+   * @param {*} data The received message
+   * @return {Boolean} true if the message is a close control message
+   */
+  var isCloseMessage = function (data) {
+    return !!data && (typeof data === 'object') &&
+      (data.presentationControl === 'close');
+  };
+
+
+  /**
+   * Normalize the given URL for comparison purpose, dropping the query
+   * string and the fragment. Used by mechanisms that match receiving pages
+   * against presentation request URLs.
+   *
+   * @function
+   * @private
+   * @param {String} url The URL to normalize, relative to the document
+   * @return {String} The normalized URL, null if the URL is invalid
+   */
+  var normalizeUrl = function (url) {
+    try {
+      url = new URL(url, document.baseURI);
+      return url.origin + url.pathname;
+    }
+    catch (err) {
+      return null;
+    }
+  };
+
+
   /**
    * A remote controller represents a controlling browsing context as seen
    * from the receiving browsing context.
@@ -229,6 +646,12 @@
         resolve(channel);
       });
     };
+
+
+    /**
+     * Terminates the presentation, closing the receiving browsing context
+     */
+    this.terminate = function () {};
   };
 
 
@@ -251,16 +674,40 @@
     this.name = name;
 
 
+    /**
+     * The presentation mechanism that reported the display
+     * (set by the shim when the display is first reported)
+     *
+     * @type {PresentationMechanism}
+     */
+    this.mechanism = null;
+
+
+    /**
+     * Whether the display is compatible with the given URL, meaning that it
+     * could be navigated to that URL.
+     *
+     * @function
+     * @param {String} url The URL to check
+     * @return {Boolean} true when the display can present the URL
+     */
+    this.canPresent = function (url) {
+      return true;
+    };
+
+
     /**
      * Navigate the display to the given URL, thus creating a receiving
      * browsing context.
      *
      * @function
      * @param {String} url The URL to navigate to
+     * @param {Object} options The options of the presentation request, see
+     * PresentationRequest
      * @return {Promise} The promise to have navigated to the given URL. The
      * promise is rejected with a DOMException named "OperationError"
      */
-    this.navigate = function (url) {
+    this.navigate = function (url, options) {
       return new Promise(function (resolve, reject) {
         reject(new _DOMException('OperationError'));
       });
@@ -289,6 +736,22 @@
     };
 
 
+    /**
+     * Return information that identifies the receiving browsing context the
+     * display was navigated to, so that the mechanism may find it again
+     * after the controlling page gets reloaded.
+     *
+     * The information must be serializable as JSON.
+     *
+     * @function
+     * @return {Object} Identity of the receiving browsing context, null if the
+     * presentation cannot be resumed after a reload
+     */
+    this.getIdentity = function () {
+      return null;
+    };
+
+
     /**
      * Terminates the presentation with the display
      */
@@ -311,6 +774,8 @@
    * @private
    */
   var PresentationMechanism = function () {
+    var that = this;
+
     /**
      * Some friendly name for the mechanism, mostly for logging purpose
      *
@@ -321,6 +786,17 @@
     this.name = 'default presentation mechanism';
 
 
+    /**
+     * Human-friendly label for the kind of displays that the mechanism
+     * exposes, used to group displays when the user selects one
+     *
+     * To be set in derivated classes.
+     *
+     * @type {String}
+     */
+    this.label = 'Other displays';
+
+
     /**
      * Compute the list of available presentation displays that the user may
      * select to launch a presentation.
@@ -337,31 +813,101 @@
 
 
     /**
-     * Start to monitor incoming presentation connections if code runs on the
-     * receiving side.
+     * Start to monitor the list of available presentation displays.
      *
-     * The function should not do anything if the code is not running on the
-     * receiving side.
+     * The mechanism must report displays as they appear and disappear
+     * through the "ondisplayavailable" and "ondisplayunavailable" event
+     * handlers. Displays must be reported as the same objects over time.
+     *
+     * The default implementation reports the displays returned by
+     * "getAvailableDisplays" once, and never reports any change afterwards.
      *
      * @function
+     * @return {Promise} The promise that the initial list of available
+     * displays will have been reported.
      */
-    this.monitorIncomingControllers = function () {
-      queueTask(function () {
+    this.monitorAvailableDisplays = function () {
+      return that.getAvailableDisplays().then(function (displays) {
+        displays.forEach(function (display) {
+          if (that.ondisplayavailable) {
+            that.ondisplayavailable(display);
+          }
+        });
       });
     };
 
 
     /**
-     * Event handler called when an incoming controller is detected
+     * Find the display that runs the receiving browsing context identified
+     * by the given information, as previously returned by the "getIdentity"
+     * method of a display reported by this mechanism, and re-attach the
+     * display to that context.
      *
-     * The "controller" attribute of the event that is given to the handler is set
-     * to the remote controller that connected to this browsing context
-     *
-     * @type {EventHandler}
+     * @function
+     * @param {String} url The URL of the presentation
+     * @param {Object} identity Identity of the receiving browsing context
+     * @param {Object} options The options of the presentation request, see
+     * PresentationRequest
+     * @return {Promise<Display>} The promise to get a display attached to the
+     * receiving browsing context. The promise is rejected with a DOMException
+     * named "NotFoundError" if that context no longer exists, or named
+     * "NotAllowedError" if the user agent did not allow the mechanism to look
+     * for it.
      */
-    this.onincomingcontroller = null; 
-  };
-
+    this.restoreDisplay = function (url, identity, options) {
+      return new Promise(function (resolve, reject) {
+        reject(new _DOMException('NotFoundError'));
+      });
+    };
+
+
+    /**
+     * Event handler called when a new display becomes available
+     *
+     * The display is given as parameter to the handler
+     *
+     * @type {EventHandler}
+     */
+    this.ondisplayavailable = null;
+
+
+    /**
+     * Event handler called when a display that was available is no longer
+     * available
+     *
+     * The display is given as parameter to the handler
+     *
+     * @type {EventHandler}
+     */
+    this.ondisplayunavailable = null;
+
+
+    /**
+     * Start to monitor incoming presentation connections if code runs on the
+     * receiving side.
+     *
+     * The function should not do anything if the code is not running on the
+     * receiving side.
+     *
+     * @function
+     */
+    this.monitorIncomingControllers = function () {
+      queueTask(function () {
+      });
+    };
+
+
+    /**
+     * Event handler called when an incoming controller is detected
+     *
+     * The "controller" attribute of the event that is given to the handler is set
+     * to the remote controller that connected to this browsing context
+     *
+     * @type {EventHandler}
+     */
+    this.onincomingcontroller = null; 
+  };
+
 
 
 
@@ -395,6 +941,9 @@
       if (loaded) {
         log('Google Cast API library is available and loaded');
         castApiAvailable = true;
+        castApiAvailabilityListeners.forEach(function (listener) {
+          listener();
+        });
       } else {
         log('warn',
           'Google Cast API library is available but could not be loaded',
@@ -403,6 +952,14 @@
     };
 
 
+    /**
+     * Functions to call when the Cast API library becomes available
+     *
+     * @type {Array(function)}
+     */
+    var castApiAvailabilityListeners = [];
+
+
     /**
      * Whether the Cast API library has been initialized.
      *
@@ -425,46 +982,76 @@
     /**
      * Remote controller from the perspective of the Cast device
      *
+     * Each Cast sender connected to the Cast device is a separate remote
+     * controller, with its own presentation connection.
+     *
      * @constructor
      * @inherits {RemoteController}
      * @param {cast.ReceiverManager} castReceiverManager The cast's receiver
      * manager.
+     * @param {cast.receiver.CastMessageBus} customMessageBus The message bus
+     * shared with Cast senders
+     * @param {String} senderId The ID of the Cast sender
      */
-    var CastRemoteController = function (castReceiverManager) {
+    var CastRemoteController = function (castReceiverManager, customMessageBus, senderId) {
       RemoteController.call(this);
+      var that = this;
 
-      var customMessageBus = castReceiverManager.getCastMessageBus(
-        'urn:x-cast:org.w3c.webscreens.presentationapi.shim',
-        cast.receiver.CastMessageBus.MessageType.JSON);
+      /**
+       * Function that marks the data channel as closed because the Cast
+       * sender disconnected, set when the data channel is created
+       */
+      this.ondisconnect = null;
 
       this.createDataChannel = function () {
         return new Promise(function (resolve, reject) {
           var channel = new DataChannel();
           channel.state = 'connected';
 
-          customMessageBus.addEventListener('message', function (event) {
-            log('received message from Cast sender', event.data);
+          var messageListener = function (event) {
+            if (event.senderId !== senderId) {
+              return;
+            }
+            if (isCloseMessage(event.data)) {
+              log('received close message from Cast sender', senderId,
+                event.data.reason);
+              customMessageBus.removeEventListener('message', messageListener);
+              channel.markClosed(event.data.reason, event.data.message);
+              return;
+            }
+            log('received message from Cast sender', senderId, event.data);
             if (channel.onmessage) {
               channel.onmessage(event);
             }
-          });
+          };
+          customMessageBus.addEventListener('message', messageListener);
+
+          // The connection went away if the sender disconnected without
+          // closing the connection first
+          that.ondisconnect = function (reason) {
+            log('Cast sender disconnected', senderId, reason);
+            customMessageBus.removeEventListener('message', messageListener);
+            channel.markClosed(
+              (reason === 'requested_by_sender') ? 'closed' : 'wentaway',
+              'Cast sender disconnected');
+          };
 
           channel.send = function (message) {
             if (channel.state !== 'connected') {
               throw new _DOMException('InvalidStateError');
             }
-            log('send message to Cast sender', message);
-            customMessageBus.broadcast(message);
+            log('send message to Cast sender', senderId, message);
+            customMessageBus.send(senderId, message);
           };
 
-          channel.close = function () {
+          channel.close = function (reason, message) {
             if (channel.state !== 'connected') {
               return;
             }
-            channel.state = 'closed';
-            if (channel.onstatechange) {
-              channel.onstatechange();
-            }
+            log('send close message to Cast sender', senderId);
+            customMessageBus.send(senderId, createCloseMessage(reason, message));
+            customMessageBus.removeEventListener('message', messageListener);
+            channel.markClosed(reason, message);
           };
 
           resolve(channel);
@@ -495,6 +1082,71 @@
 
       var castSession = null;
 
+      this.canPresent = function (url) {
+        return !!castApplications[url];
+      };
+
+      this.getIdentity = function () {
+        return castSession ? { sessionId: castSession.sessionId } : null;
+      };
+
+
+      /**
+       * Re-attach the display to the running Cast session with the given ID
+       *
+       * The Cast API library reports running sessions that the page may join
+       * when it gets initialized, meaning that this only works if the library
+       * has not been initialized yet, typically right after the controlling
+       * page has been reloaded.
+       *
+       * @function
+       * @param {String} url The URL of the receiver application
+       * @param {String} sessionId The ID of the Cast session
+       * @return {Promise} The promise to have joined the Cast session
+       */
+      this.reattach = function (url, sessionId) {
+        return new Promise(function (resolve, reject) {
+          if (castSession && (castSession.sessionId === sessionId)) {
+            resolve();
+            return;
+          }
+          if (!castApiAvailable || !castApplications[url] || castApiInitialized) {
+            log('cannot join Cast session', sessionId);
+            reject(new _DOMException('NotFoundError'));
+            return;
+          }
+
+          var sessionRequest = new chrome.cast.SessionRequest(castApplications[url]);
+          var timeout = setTimeout(function () {
+            log('Cast session to join not found', sessionId);
+            reject(new _DOMException('NotFoundError'));
+          }, 5000);
+          var apiConfig = new chrome.cast.ApiConfig(
+            sessionRequest,
+            function sessionListener(session) {
+              if (session.sessionId !== sessionId) {
+                return;
+              }
+              log('found Cast session to join', sessionId);
+              clearTimeout(timeout);
+              castSession = session;
+              resolve();
+            },
+            function receiverListener(available) {});
+
+          log('initialize Google Cast API library to join session', sessionId);
+          chrome.cast.initialize(apiConfig, function () {
+            log('Google Cast API library initialized');
+            castApiInitialized = true;
+          }, function (err) {
+            log('error',
+              'Google Cast API library could not be initialized', err);
+            clearTimeout(timeout);
+            reject(new _DOMException('NotFoundError'));
+          });
+        });
+      };
+
       this.navigate = function (url) {
         return new Promise(function (resolve, reject) {
           if (!castApiAvailable) {
@@ -602,27 +1254,47 @@
           var channel = new DataChannel();
           channel.state = 'connected';
 
+          var namespace = castSession.namespaces[0];
+
+          var removeListeners = function () {
+            castSession.removeMessageListener(namespace.name, messageListener);
+            castSession.removeUpdateListener(updateListener);
+          };
+
           var updateListener = function () {
-            channel.state = (castSession === chrome.cast.SessionStatus.CONNECTED) ?
-              'connected' : 'closed';
-            log('received Cast session state update', 'isAlive=' + isAlive);
-            if (channel.onstatechange) {
-              channel.onstatechange();
+            log('received Cast session state update', castSession.status);
+            if (castSession.status === chrome.cast.SessionStatus.CONNECTED) {
+              return;
             }
-            if (channel.state !== 'connected') {
-              castSession.removeMessageListener(messageListener);
-              castSession.removeUpdateListener(updateListener);
+            removeListeners();
+            if (castSession.status === chrome.cast.SessionStatus.STOPPED) {
+              channel.markTerminated();
+            }
+            else {
+              channel.markClosed('error', 'Cast session disconnected');
             }
           };
 
           var messageListener = function (namespace, message) {
+            if (typeof message === 'string') {
+              try {
+                message = JSON.parse(message);
+              }
+              catch (err) {
+              }
+            }
+            if (isCloseMessage(message)) {
+              log('received close message from Cast receiver', message.reason);
+              removeListeners();
+              channel.markClosed(message.reason, message.message);
+              return;
+            }
             log('received message from Cast receiver', message);
             if (channel.onmessage) {
               channel.onmessage({ data: message });
             }
           };
 
-          var namespace = castSession.namespaces[0];
           castSession.addUpdateListener(updateListener);
           castSession.addMessageListener(namespace.name, messageListener);
 
@@ -635,16 +1307,15 @@
             castSession.sendMessage(namespace.name, message);
           };
 
-          channel.close = function () {
+          channel.close = function (reason, message) {
             if (channel.state !== 'connected') {
               return;
             }
-            castSession.removeMessageListener(messageListener);
-            castSession.removeUpdateListener(updateListener);
-            channel.state = 'closed';
-            if (channel.onstatechange) {
-              channel.onstatechange();
-            }
+            log('send close message to Cast receiver');
+            castSession.sendMessage(namespace.name,
+              createCloseMessage(reason, message));
+            removeListeners();
+            channel.markClosed(reason, message);
           };
 
           resolve(channel);
@@ -665,13 +1336,21 @@
     var CastPresentationMechanism = function () {
       PresentationMechanism.call(this);
       this.name = 'cast presentation mechanism';
+      this.label = 'Google Cast devices';
 
       var that = this;
 
+      /**
+       * The extension does not expose individual devices, the mechanism
+       * exposes one display that represents whatever Chromecast device the
+       * user may select in the extension
+       */
+      var castDisplay = new CastDisplay('A chromecast device');
+
       this.getAvailableDisplays = function () {
         return new Promise(function (resolve, reject) {
           if (castApiAvailable) {
-            resolve([new CastDisplay('A chromecast device')]);
+            resolve([castDisplay]);
           }
           else {
             resolve([]);
@@ -679,6 +1358,30 @@
         });
       };
 
+      this.restoreDisplay = function (url, identity) {
+        return castDisplay.reattach(url, identity.sessionId).then(function () {
+          return castDisplay;
+        });
+      };
+
+      this.monitorAvailableDisplays = function () {
+        return new Promise(function (resolve, reject) {
+          var reportDisplay = function () {
+            if (that.ondisplayavailable) {
+              that.ondisplayavailable(castDisplay);
+            }
+          };
+          if (castApiAvailable) {
+            reportDisplay();
+          }
+          else {
+            // The Cast API library may still be loading
+            castApiAvailabilityListeners.push(reportDisplay);
+          }
+          resolve();
+        });
+      };
+
       this.monitorIncomingControllers = function () {
         // Detect whether the code is running on a Google Cast device. If it is,
         // it means the code is used within a Receiver application and was
@@ -694,20 +1397,39 @@
         }
 
         // Start the Google Cast receiver
-        // Note the need to create the CastReceiverSession before the call to
-        // "start", as that class registers the namespace used for the
+        // Note the need to get the custom message bus before the call to
+        // "start", as that registers the namespace used for the
         // communication channel.
         log('code is running on a Google Cast device',
           'start Google Cast receiver manager');
         var castReceiverManager = cast.receiver.CastReceiverManager.getInstance();
-        var controller = new CastRemoteController(castReceiverManager);
-        castReceiverManager.start();
-        castReceiverManager.onReady = function () {
-          log('Google Cast receiver manager started');
+        var customMessageBus = castReceiverManager.getCastMessageBus(
+          'urn:x-cast:org.w3c.webscreens.presentationapi.shim',
+          cast.receiver.CastMessageBus.MessageType.JSON);
+
+        // Remote controllers of connected Cast senders, indexed by sender ID
+        var controllers = {};
+
+        castReceiverManager.onSenderConnected = function (event) {
+          log('Cast sender connected', event.senderId);
+          var controller = new CastRemoteController(
+            castReceiverManager, customMessageBus, event.senderId);
+          controllers[event.senderId] = controller;
           if (that.onincomingcontroller) {
             that.onincomingcontroller(controller);
           }
         };
+        castReceiverManager.onSenderDisconnected = function (event) {
+          var controller = controllers[event.senderId];
+          delete controllers[event.senderId];
+          if (controller && controller.ondisconnect) {
+            controller.ondisconnect(event.reason);
+          }
+        };
+        castReceiverManager.onReady = function () {
+          log('Google Cast receiver manager started');
+        };
+        castReceiverManager.start();
       };
     };
 
@@ -747,6 +1469,40 @@
    * @inherits {PresentationMechanism}
    */
   var WindowPresentationMechanism = (function () {
+    /**
+     * Return the origin of the given URL
+     *
+     * @function
+     * @private
+     * @param {String} url The URL, relative to the document
+     * @return {String} The origin of the URL, null if the URL is invalid
+     */
+    var getOrigin = function (url) {
+      try {
+        return new URL(url, document.baseURI).origin;
+      }
+      catch (err) {
+        return null;
+      }
+    };
+
+
+    /**
+     * Return the list of origins from which controlling windows may connect
+     * to this receiving window: the origin of the receiving window and the
+     * origins that the application set in the "allowedOrigins" property of
+     * "navigator.w3cPresentation.receiver".
+     *
+     * @function
+     * @private
+     * @return {Array(String)} The list of allowed origins
+     */
+    var getAllowedControllerOrigins = function () {
+      return [window.location.origin].concat(
+        Presentation.receiver.allowedOrigins || []);
+    };
+
+
     /**
      * Remote window controller
      *
@@ -754,55 +1510,116 @@
      * @private
      * @inherits {RemoteController}
      * @param {Window} source Reference to the controlling window
+     * @param {String} origin The origin of the controlling window
      */
-    var WindowRemoteController = function (source) {
+    var WindowRemoteController = function (source, origin) {
       RemoteController.call(this);
 
+      /**
+       * Release the resources associated with the current data channel
+       * (set when the data channel is created)
+       *
+       * @function
+       * @private
+       */
+      var detachChannel = function () {};
+
+      /**
+       * The current data channel with the controlling window
+       *
+       * @type {DataChannel}
+       * @private
+       */
+      var currentChannel = null;
+
       this.createDataChannel = function () {
         return new Promise(function (resolve, reject) {
           var channel = new DataChannel();
+          currentChannel = channel;
 
           var initMessageListener = function (event) {
             if ((event.source === source) &&
+                (event.origin === origin) &&
                 (event.data === 'channel')) {
               log('received message to start data channel');
               channel.state = 'connected';
               window.removeEventListener('message', initMessageListener);
               window.addEventListener('message', messageListener);
-              source.postMessage('channelready', '*');
+              source.postMessage('channelready', origin);
               resolve(channel);
             }
           };
           window.addEventListener('message', initMessageListener);
 
           var messageListener = function (event) {
-            if (event.source === source) {
-              if (channel.onmessage) {
-                channel.onmessage(event);
-              }
+            if ((event.source !== source) || (event.origin !== origin)) {
+              return;
+            }
+            if (isCloseMessage(event.data)) {
+              log('received close message from controlling window',
+                event.data.reason);
+              detachChannel();
+              channel.markClosed(event.data.reason, event.data.message);
+              return;
+            }
+            if (channel.onmessage) {
+              channel.onmessage(event);
             }
           };
 
+          detachChannel = function () {
+            window.removeEventListener('message', initMessageListener);
+            window.removeEventListener('message', messageListener);
+          };
+
           channel.send = function (message) {
             if (channel.state !== 'connected') {
               throw new _DOMException('InvalidStateError');
             }
-            log('send message to receiving window', message);
-            source.postMessage(message, '*');
+            if (source.closed) {
+              log('controlling window is gone', 'close data channel');
+              detachChannel();
+              channel.markClosed('wentaway', 'Controlling window was closed');
+              throw new _DOMException('InvalidStateError');
+            }
+            log('send message to controlling window', message);
+            source.postMessage(message, origin);
           };
 
-          channel.close = function () {
+          channel.close = function (reason, message) {
             if (channel.state !== 'connected') {
               return;
             }
-            window.removeEventListener('message', messageListener);
-            channel.state = 'closed';
-            if (channel.onstatechange) {
-              channel.onstatechange();
-            }
+            log('send close message to controlling window');
+            detachChannel();
+            source.postMessage(createCloseMessage(reason, message), origin);
+            channel.markClosed(reason, message);
           };
         });
       };
+
+
+      /**
+       * Close the data channel with the controlling window, if any, without
+       * notifying the controlling window, typically because the controlling
+       * window reconnected with a new data channel.
+       *
+       * @function
+       */
+      this.closeDataChannel = function () {
+        detachChannel();
+        if (currentChannel) {
+          currentChannel.markClosed('wentaway', 'Controlling window reconnected');
+        }
+      };
+
+
+      this.terminate = function () {
+        log('terminate presentation', 'close receiving window');
+        detachChannel();
+        source.postMessage('receivershutdown', origin);
+        window.close();
+      };
     };
 
 
@@ -817,13 +1634,54 @@
       Display.call(this, name);
 
       var receivingWindow = null;
-      var openPromise = null;
-      var openPromiseResolve = null;
-      var openPromiseReject = null;
+
+      /**
+       * The origin of the receiving window, known once the receiving window
+       * has completed the "presentation" handshake. Messages are only sent
+       * to and accepted from that origin.
+       *
+       * @type {String}
+       * @private
+       */
+      var receivingOrigin = null;
+
+      /**
+       * Whether the "presentation" handshake needs to be run again before a
+       * new data channel may be created, meaning that the receiving window
+       * was not navigated by this display, or that a previous data channel
+       * was created and closed in the meantime
+       *
+       * @type {Boolean}
+       * @private
+       */
       var reconnectionNeeded = false;
-      var that = this;
 
-      this.navigate = function (url) {
+      /**
+       * Release the resources associated with the current data channel
+       * (set when the data channel is created)
+       *
+       * @function
+       * @private
+       */
+      var detachChannel = function () {};
+
+      /**
+       * Navigate the display to the given URL
+       *
+       * The receiving window may only complete the handshake from the origin
+       * of the URL, or from one of the origins listed in the
+       * "allowedOrigins" option.
+       *
+       * @function
+       * @param {String} url The URL to navigate to
+       * @param {Object} options Presentation options, with an optional list
+       * of "allowedOrigins"
+       * @return {Promise} The promise that the receiving window will have
+       * completed the handshake.
+       */
+      this.navigate = function (url, options) {
+        var allowedOrigins = [getOrigin(url)].concat(
+          (options && options.allowedOrigins) || []);
         return new Promise(function (resolve, reject) {
           receivingWindow = window.open(url, name);
           if (!receivingWindow) {
@@ -834,11 +1692,18 @@
           var isPresentationListener = function (event) {
             if ((event.source === receivingWindow) &&
                 (event.data === 'ispresentation')) {
+              if (allowedOrigins.indexOf(event.origin) === -1) {
+                log('warn', 'reject "is this a presentation connection?" ' +
+                  'message from unexpected origin', event.origin);
+                return;
+              }
               log('received "is this a presentation connection?" message ' +
                 'from receiving window');
               log('send "presentation" message to receiving window');
-              receivingWindow.postMessage('presentation', '*');
+              receivingOrigin = event.origin;
+              receivingWindow.postMessage('presentation', receivingOrigin);
               window.removeEventListener('message', isPresentationListener);
+              reconnectionNeeded = false;
               resolve();
             }
           };
@@ -849,63 +1714,182 @@
       this.createDataChannel = function () {
         return new Promise(function (resolve, reject) {
           var channel = new DataChannel();
-          channel.state = 'connected';
 
           var readyMessageListener = function (event) {
             if ((event.source === receivingWindow) &&
+                (event.origin === receivingOrigin) &&
                 (event.data === 'channelready')) {
               log('received "channel ready" message from receiving window');
               channel.state = 'connected';
               window.removeEventListener('message', readyMessageListener);
               window.addEventListener('message', messageListener);
+              window.addEventListener('unload', unloadListener);
               resolve(channel);
             }
           };
 
           var messageListener = function (event) {
-            if ((event.source === receivingWindow) &&
-                (event.data === 'receivershutdown')) {
+            if ((event.source !== receivingWindow) ||
+                (event.origin !== receivingOrigin)) {
+              return;
+            }
+            if (event.data === 'receivershutdown') {
               log('received shut down message from receiving side', 'disconnect');
-              channel.state = 'terminated';
-              if (channel.onstatechange) {
-                channel.onstatechange();
-              }
+              detachChannel();
+              channel.markTerminated();
+            }
+            else if (isCloseMessage(event.data)) {
+              log('received close message from receiving window',
+                event.data.reason);
+              detachChannel();
+              channel.markClosed(event.data.reason, event.data.message);
             }
             else {
               log('received message from receiving window', event.data);
-              if (that.onmessage) {
-                that.onmessage(event);
+              if (channel.onmessage) {
+                channel.onmessage(event);
               }
             }
           };
 
+          // Tell the receiving window that the controlling page went away.
+          // If the receiving window was closed in the meantime, terminate
+          // the channel instead so that the presentation does not get
+          // persisted (re-attaching to the window would fail anyway).
+          var unloadListener = function () {
+            if (channel.state !== 'connected') {
+              return;
+            }
+            if (receivingWindow.closed) {
+              log('receiving window is gone', 'terminate data channel');
+              detachChannel();
+              channel.markTerminated();
+            }
+            else {
+              receivingWindow.postMessage(
+                createCloseMessage('wentaway',
+                  'Controlling page was unloaded'),
+                receivingOrigin);
+            }
+          };
+
+          detachChannel = function () {
+            window.removeEventListener('message', readyMessageListener);
+            window.removeEventListener('message', messageListener);
+            window.removeEventListener('unload', unloadListener);
+          };
+
+          if (reconnectionNeeded) {
+            log('send "presentation" message to receiving window');
+            receivingWindow.postMessage('presentation', receivingOrigin);
+          }
+          reconnectionNeeded = true;
+
           log('tell receiving window to create data channel');
-          receivingWindow.postMessage('channel', '*');
+          receivingWindow.postMessage('channel', receivingOrigin);
           window.addEventListener('message', readyMessageListener);
 
           channel.send = function (message) {
             if (channel.state !== 'connected') {
               throw new _DOMException('InvalidStateError');
             }
+            if (receivingWindow.closed) {
+              log('receiving window is gone', 'terminate data channel');
+              detachChannel();
+              channel.markTerminated();
+              throw new _DOMException('InvalidStateError');
+            }
             log('send message to receiving window', message);
-            receivingWindow.postMessage(message, '*');
+            receivingWindow.postMessage(message, receivingOrigin);
           };
 
-          channel.close = function () {
+          channel.close = function (reason, message) {
             if (channel.state !== 'connected') {
               return;
             }
-            window.removeEventListener('messsage', messageListener);
-            channel.state = 'closed';
-            if (channel.onstatechange) {
-              channel.onstatechange();
-            }
+            log('send close message to receiving window');
+            detachChannel();
+            receivingWindow.postMessage(createCloseMessage(reason, message),
+              receivingOrigin);
+            channel.markClosed(reason, message);
           };
         });
       };
 
+      this.getIdentity = function () {
+        return { windowName: name, origin: receivingOrigin };
+      };
+
+
+      /**
+       * Re-attach the display to the receiving window with the given name
+       *
+       * The display keeps a reference to the receiving window it opened, if
+       * any, and checks that window directly. Otherwise, typically after a
+       * reload of the controlling page, the function needs to be called in
+       * response to a user action as it relies on "window.open" to retrieve
+       * the receiving window. Note that "window.open" briefly opens a blank
+       * window if the receiving window was closed while the controlling page
+       * was not running.
+       *
+       * @function
+       * @param {String} windowName The name of the receiving window
+       * @param {String} origin The origin of the receiving window
+       * @return {Promise} The promise to have re-attached the display to the
+       * receiving window. The promise is rejected with a DOMException named
+       * "NotFoundError" if that window no longer exists, and with a
+       * DOMException named "NotAllowedError" if the user agent blocked the
+       * call to "window.open".
+       */
+      this.reattach = function (windowName, origin) {
+        return new Promise(function (resolve, reject) {
+          var win = null;
+          var isBlank = false;
+          if (receivingWindow && (windowName === name)) {
+            if (receivingWindow.closed) {
+              log('receiving window no longer exists');
+              reject(new _DOMException('NotFoundError'));
+              return;
+            }
+            win = receivingWindow;
+          }
+          else {
+            // Opening a window with an empty URL returns the existing window
+            // with that name, or opens a blank one if there is none.
+            win = window.open('', windowName);
+          }
+          if (!win) {
+            log('warn', 'could not retrieve receiving window',
+              'pop-up window was blocked');
+            reject(new _DOMException('NotAllowedError',
+              'The pop-up window was blocked'));
+            return;
+          }
+          try {
+            isBlank = (win.location.href === 'about:blank');
+          }
+          catch (err) {
+            // Access to the location of a cross-origin receiving window
+            // throws, meaning that the window exists
+          }
+          if (isBlank) {
+            log('receiving window no longer exists');
+            win.close();
+            reject(new _DOMException('NotFoundError'));
+            return;
+          }
+          log('found receiving window');
+          detachChannel();
+          receivingWindow = win;
+          receivingOrigin = origin;
+          reconnectionNeeded = true;
+          resolve();
+        });
+      };
+
       this.terminate = function () {
         log('close presentation window');
+        detachChannel();
         receivingWindow.close();
       };
     };
@@ -914,17 +1898,42 @@
     var WindowPresentationMechanism = function () {
       PresentationMechanism.call(this);
       this.name = 'window presentation mechanism';
+      this.label = 'Windows on this screen';
 
       var controllingWindows = [];
+      var controllingOrigins = [];
+      var controllers = [];
       var that = this;
 
+      /**
+       * Windows can always be opened (pop-up blockers aside), the mechanism
+       * exposes one display that is always available. Note that all
+       * presentations started on that display share the same named window.
+       */
+      var windowDisplay = new WindowDisplay('A beautiful window on your screen');
+
       this.getAvailableDisplays = function () {
         return new Promise(function (resolve, reject) {
-          var display = new WindowDisplay('A beautiful window on your screen');
-          resolve([display]);
+          resolve([windowDisplay]);
         });
       };
 
+      this.restoreDisplay = function (url, identity, options) {
+        // Records persisted by previous versions of the shim do not have
+        // the origin of the receiving window
+        var origin = identity.origin || getOrigin(url);
+        var allowedOrigins = [getOrigin(url)].concat(
+          (options && options.allowedOrigins) || []);
+        if (allowedOrigins.indexOf(origin) === -1) {
+          log('warn', 'receiving window origin is not allowed', origin);
+          return Promise.reject(new _DOMException('NotFoundError'));
+        }
+        return windowDisplay.reattach(identity.windowName, origin)
+          .then(function () {
+            return windowDisplay;
+          });
+      };
+
       this.monitorIncomingControllers = function () {
         // No window opener? The code does not run a receiver app.
         if (!window.opener) {
@@ -932,33 +1941,56 @@
           return;
         }
 
+        var allowedOrigins = getAllowedControllerOrigins();
+
         var messageEventListener = function (event) {
           // Note that the event source window is not checked to allow multiple
-          // controlling windows
+          // controlling windows, but its origin must be allowed
           if (event.data === 'presentation') {
+            if (allowedOrigins.indexOf(event.origin) === -1) {
+              log('warn', 'reject "presentation" message from unexpected origin',
+                event.origin);
+              return;
+            }
             log('received "presentation" message from some window');
             log('code is running in a receiving window');
-            if (that.onincomingcontroller &&
-                !controllingWindows.some(function (win) {
-                  return (win === event.source);
-                })) {
-              controllingWindows.push(event.source);
-              var controller = new WindowRemoteController(event.source);
-              if (that.onincomingcontroller) {
-                that.onincomingcontroller(controller);
-              }
+            if (!that.onincomingcontroller) {
+              return;
+            }
+
+            // A controlling window that sends the message again was reloaded
+            // or wants to reconnect. The previous connection is superseded.
+            var idx = controllingWindows.indexOf(event.source);
+            if (idx !== -1) {
+              log('controlling window reconnects', 'close previous channel');
+              controllers[idx].closeDataChannel();
+              controllingWindows.splice(idx, 1);
+              controllingOrigins.splice(idx, 1);
+              controllers.splice(idx, 1);
             }
+
+            var controller = new WindowRemoteController(event.source, event.origin);
+            controllingWindows.push(event.source);
+            controllingOrigins.push(event.origin);
+            controllers.push(controller);
+            that.onincomingcontroller(controller);
           }
         };
 
         window.addEventListener('message', messageEventListener, false);
+
+        // The origin of the opener window cannot be read if it differs from
+        // that of the receiving window. The message is sent to each allowed
+        // origin in turn, and only reaches the opener if its origin matches.
         log('send "ispresentation" message to opener window');
-        window.opener.postMessage('ispresentation', '*');
+        allowedOrigins.forEach(function (origin) {
+          window.opener.postMessage('ispresentation', origin);
+        });
         window.addEventListener('unload', function () {
           log('receiving window is being closed');
-          controllingWindows.forEach(function (win) {
+          controllingWindows.forEach(function (win, idx) {
             if (win) {
-              win.postMessage('receivershutdown', '*');
+              win.postMessage('receivershutdown', controllingOrigins[idx]);
             }
           });
         }, false);
@@ -973,6 +2005,452 @@
 
 
 
+  /**********************************************************************
+  BroadcastChannelPresentationMechanism
+  **********************************************************************/
+
+  /**
+   * The BroadcastChannel presentation mechanism allows a user to present
+   * content on another tab or window of the same browser that runs the
+   * receiving page, whether that tab was opened by the controlling page or
+   * not.
+   *
+   * Receiving pages advertise themselves as displays on a BroadcastChannel
+   * shared by all same-origin browsing contexts, provided they set
+   * "navigator.presentationDisplayName" before the shim is loaded.
+   *
+   * Messages exchanged on the channel are objects with a "type" property and
+   * the ID of the sending context in "from":
+   * - controller to all: "discover"
+   * - display to all: "display" (with "name" and "url"), "displaygone"
+   * - controller to display: "connect", "terminate"
+   * - display to controller: "connected", "terminated"
+   * - both ways: "message" (with "data"), "close" (with "reason" and
+   * "message")
+   * Messages sent to a specific context have its ID in "to".
+   *
+   * Terminating a presentation reloads the receiving page, as the
+   * presentation runs in that page. All controlling contexts connected to
+   * the receiving page, not only the one that terminated the presentation,
+   * receive a "terminated" message.
+   *
+   * @constructor
+   * @inherits {PresentationMechanism}
+   */
+  var BroadcastChannelPresentationMechanism = (function () {
+    /**
+     * Name of the BroadcastChannel shared by all contexts
+     */
+    var channelName = 'w3cPresentation';
+
+    /**
+     * Time to wait for a display to answer, in milliseconds
+     */
+    var answerTimeout = 1000;
+
+
+    /**
+     * A controlling browsing context that connected to this display
+     *
+     * @constructor
+     * @private
+     * @inherits {RemoteController}
+     * @param {BroadcastChannel} bus The channel shared by all contexts
+     * @param {String} ownId The ID of this browsing context
+     * @param {String} controllerId The ID of the controlling context
+     * @param {Object} channels Data channels with controllers, indexed by ID
+     */
+    var BroadcastChannelRemoteController = function (bus, ownId, controllerId, channels) {
+      RemoteController.call(this);
+
+      this.createDataChannel = function () {
+        return new Promise(function (resolve, reject) {
+          var channel = new DataChannel();
+          channel.state = 'connected';
+          channels[controllerId] = channel;
+
+          channel.send = function (message) {
+            if (channel.state !== 'connected') {
+              throw new _DOMException('InvalidStateError');
+            }
+            log('send message to controlling context', message);
+            bus.postMessage({
+              type: 'message',
+              from: ownId,
+              to: controllerId,
+              data: message
+            });
+          };
+
+          channel.close = function (reason, message) {
+            if (channel.state !== 'connected') {
+              return;
+            }
+            log('send close message to controlling context');
+            bus.postMessage({
+              type: 'close',
+              from: ownId,
+              to: controllerId,
+              reason: reason || 'closed',
+              message: message || ''
+            });
+            delete channels[controllerId];
+            channel.markClosed(reason, message);
+          };
+
+          log('tell controlling context that connection is ready', controllerId);
+          bus.postMessage({ type: 'connected', from: ownId, to: controllerId });
+          resolve(channel);
+        });
+      };
+
+      this.terminate = function () {
+        log('terminate presentation', 'reload receiving page');
+        bus.postMessage({ type: 'terminated', from: ownId });
+        window.location.reload();
+      };
+    };
+
+
+    /**
+     * A receiving page that runs in another tab or window
+     *
+     * @constructor
+     * @private
+     * @inherits {Display}
+     * @param {BroadcastChannel} bus The channel shared by all contexts
+     * @param {String} ownId The ID of this browsing context
+     * @param {id:String, name:String, url:String} info Display information
+     * advertised by the receiving page
+     * @param {Object} channels Data channels with displays, indexed by ID
+     */
+    var BroadcastChannelDisplay = function (bus, ownId, info, channels) {
+      Display.call(this, info.name);
+
+      /**
+       * The ID of the receiving page
+       *
+       * @type {String}
+       */
+      this.id = info.id;
+
+      this.canPresent = function (url) {
+        return normalizeUrl(url) === info.url;
+      };
+
+      this.navigate = function (url) {
+        return new Promise(function (resolve, reject) {
+          // The display already runs the receiving page
+          if (normalizeUrl(url) === info.url) {
+            resolve();
+          }
+          else {
+            reject(new _DOMException('OperationError'));
+          }
+        });
+      };
+
+      this.createDataChannel = function () {
+        return new Promise(function (resolve, reject) {
+          var channel = new DataChannel();
+
+          channel.send = function (message) {
+            if (channel.state !== 'connected') {
+              throw new _DOMException('InvalidStateError');
+            }
+            log('send message to receiving page', message);
+            bus.postMessage({
+              type: 'message',
+              from: ownId,
+              to: info.id,
+              data: message
+            });
+          };
+
+          channel.close = function (reason, message) {
+            if (channel.state !== 'connected') {
+              return;
+            }
+            log('send close message to receiving page');
+            bus.postMessage({
+              type: 'close',
+              from: ownId,
+              to: info.id,
+              reason: reason || 'closed',
+              message: message || ''
+            });
+            delete channels[info.id];
+            channel.markClosed(reason, message);
+          };
+
+          // The receiving page may have gone away without telling
+          var timeout = setTimeout(function () {
+            log('warn', 'receiving page did not answer connection request');
+            channel.onconnected = null;
+            delete channels[info.id];
+            reject(new _DOMException('OperationError'));
+          }, answerTimeout);
+
+          // Resolved when the receiving page replies with "connected"
+          channel.onconnected = function () {
+            clearTimeout(timeout);
+            channel.state = 'connected';
+            resolve(channel);
+          };
+
+          channels[info.id] = channel;
+          log('ask receiving page to connect', info.id);
+          bus.postMessage({ type: 'connect', from: ownId, to: info.id });
+        });
+      };
+
+      this.getIdentity = function () {
+        return { displayId: info.id };
+      };
+
+      this.terminate = function () {
+        log('terminate presentation on receiving page', info.id);
+        delete channels[info.id];
+        bus.postMessage({ type: 'terminate', from: ownId, to: info.id });
+      };
+    };
+
+
+    var BroadcastChannelPresentationMechanism = function () {
+      PresentationMechanism.call(this);
+      this.name = 'broadcast channel presentation mechanism';
+      this.label = 'Other browser tabs';
+
+      var that = this;
+      var bus = new BroadcastChannel(channelName);
+
+      /**
+       * Random ID of this browsing context on the channel
+       */
+      var ownId = Math.random().toString(36).slice(2) +
+        Math.random().toString(36).slice(2);
+
+      /**
+       * Receiving pages that advertised themselves, indexed by ID
+       */
+      var displays = {};
+
+      /**
+       * Data channels with remote contexts, indexed by ID of the context
+       */
+      var channels = {};
+
+      /**
+       * Promise resolved once receiving pages had time to answer the
+       * initial "discover" message
+       */
+      var discovery = null;
+
+      /**
+       * Whether the page advertises itself as a display
+       */
+      var isDisplay = false;
+
+
+      /**
+       * Advertise this page as a display
+       *
+       * @function
+       * @private
+       */
+      var advertise = function () {
+        bus.postMessage({
+          type: 'display',
+          from: ownId,
+          name: navigator.presentationDisplayName,
+          url: normalizeUrl(window.location.href)
+        });
+      };
+
+
+      /**
+       * Handlers of messages received on the channel, indexed by type
+       */
+      var handlers = {
+        discover: function (message) {
+          if (isDisplay) {
+            advertise();
+          }
+        },
+
+        display: function (message) {
+          if (!discovery || displays[message.from]) {
+            return;
+          }
+          var display = new BroadcastChannelDisplay(bus, ownId, {
+            id: message.from,
+            name: message.name,
+            url: message.url
+          }, channels);
+          displays[message.from] = display;
+          if (that.ondisplayavailable) {
+            that.ondisplayavailable(display);
+          }
+        },
+
+        displaygone: function (message) {
+          var display = displays[message.from];
+          if (!display) {
+            return;
+          }
+          delete displays[message.from];
+          if (that.ondisplayunavailable) {
+            that.ondisplayunavailable(display);
+          }
+        },
+
+        connect: function (message) {
+          if (!isDisplay) {
+            return;
+          }
+          log('received connection request from controlling context',
+            message.from);
+
+          // A controlling context that connects again supersedes the
+          // previous connection
+          if (channels[message.from]) {
+            channels[message.from].markClosed('wentaway',
+              'Controlling context reconnected');
+            delete channels[message.from];
+          }
+
+          var controller = new BroadcastChannelRemoteController(
+            bus, ownId, message.from, channels);
+          if (that.onincomingcontroller) {
+            that.onincomingcontroller(controller);
+          }
+        },
+
+        connected: function (message) {
+          var channel = channels[message.from];
+          if (channel && channel.onconnected) {
+            log('receiving page connected', message.from);
+            channel.onconnected();
+            channel.onconnected = null;
+          }
+        },
+
+        message: function (message) {
+          var channel = channels[message.from];
+          if (channel && (channel.state === 'connected') && channel.onmessage) {
+            log('received message on broadcast channel', message.data);
+            channel.onmessage({ data: message.data });
+          }
+        },
+
+        close: function (message) {
+          var channel = channels[message.from];
+          if (channel) {
+            log('received close message on broadcast channel', message.reason);
+            delete channels[message.from];
+            channel.markClosed(message.reason, message.message);
+          }
+        },
+
+        terminate: function (message) {
+          if (!isDisplay || !channels[message.from]) {
+            return;
+          }
+          log('controlling context terminated presentation',
+            'reload receiving page');
+          // The presentation terminates for all controlling contexts
+          bus.postMessage({ type: 'terminated', from: ownId });
+          window.location.reload();
+        },
+
+        terminated: function (message) {
+          var channel = channels[message.from];
+          if (channel) {
+            log('receiving page terminated presentation', message.from);
+            delete channels[message.from];
+            channel.markTerminated();
+          }
+        }
+      };
+
+      bus.onmessage = function (event) {
+        var message = event.data;
+        if (!message || !handlers.hasOwnProperty(message.type) ||
+            (message.to && (message.to !== ownId))) {
+          return;
+        }
+        handlers[message.type](message);
+      };
+
+      // Tell other contexts that this one is going away
+      window.addEventListener('unload', function () {
+        Object.keys(channels).forEach(function (id) {
+          if (channels[id].state === 'connected') {
+            bus.postMessage({
+              type: 'close',
+              from: ownId,
+              to: id,
+              reason: 'wentaway',
+              message: 'Page was unloaded'
+            });
+          }
+        });
+        if (isDisplay) {
+          bus.postMessage({ type: 'terminated', from: ownId });
+          bus.postMessage({ type: 'displaygone', from: ownId });
+        }
+      }, false);
+
+
+      this.getAvailableDisplays = function () {
+        return that.monitorAvailableDisplays().then(function () {
+          return Object.keys(displays).map(function (id) {
+            return displays[id];
+          });
+        });
+      };
+
+      this.monitorAvailableDisplays = function () {
+        if (!discovery) {
+          discovery = new Promise(function (resolve, reject) {
+            setTimeout(resolve, answerTimeout);
+          });
+          log('look for receiving pages in other tabs');
+          bus.postMessage({ type: 'discover', from: ownId });
+        }
+        return discovery;
+      };
+
+      this.restoreDisplay = function (url, identity) {
+        return that.monitorAvailableDisplays().then(function () {
+          var display = displays[identity.displayId];
+          if (!display || !display.canPresent(url)) {
+            throw new _DOMException('NotFoundError');
+          }
+          return display;
+        });
+      };
+
+      this.monitorIncomingControllers = function () {
+        if (!navigator.presentationDisplayName) {
+          log('page does not advertise itself as a display to other tabs');
+          return;
+        }
+        log('advertise page as display "' +
+          navigator.presentationDisplayName + '" to other tabs');
+        isDisplay = true;
+        advertise();
+      };
+    };
+    BroadcastChannelPresentationMechanism.prototype = new PresentationMechanism();
+
+    // Expose the presentation mechanism to the external world
+    return BroadcastChannelPresentationMechanism;
+  })();
+
+
+
+
   /**********************************************************************
   PresentationConnection interface
   **********************************************************************/
@@ -986,6 +2464,7 @@
    * remote peer with wich the presentation connection is associated.
    */
   var PresentationConnection = function (remotePeer) {
+    EventTarget.call(this);
     var that = this;
 
     /**
@@ -995,6 +2474,14 @@
      */
     this.id = null;
 
+    /**
+     * Non-standard human-friendly name of the display that runs the
+     * presentation, on the controlling side. Null on the receiving side.
+     *
+     * @type {String}
+     */
+    this.displayName = remotePeer.name || null;
+
     /**
      * The current connection state
      *
@@ -1009,6 +2496,28 @@
      */
     this.onstatechange = null;
 
+    /**
+     * Event handler called when the connection becomes connected
+     *
+     * @type {EventHandler}
+     */
+    this.onconnect = null;
+
+    /**
+     * Event handler called when the connection is closed, by either side.
+     * The event is a PresentationConnectionCloseEvent that details the reason.
+     *
+     * @type {EventHandler}
+     */
+    this.onclose = null;
+
+    /**
+     * Event handler called when the presentation is terminated
+     *
+     * @type {EventHandler}
+     */
+    this.onterminate = null;
+
     /**
      * Event handler called when a message is received on the communication
      * channel.
@@ -1026,6 +2535,38 @@
     var channel = null;
 
 
+    /**
+     * Update the state of the connection and fire the appropriate events
+     *
+     * @function
+     * @private
+     * @param {String} state The new state
+     * @param {String} reason The reason for closing the connection, when the
+     * new state is "closed"
+     * @param {String} message A human-readable message that details the
+     * reason, when the new state is "closed"
+     */
+    var setState = function (state, reason, message) {
+      if (that.state === state) {
+        return;
+      }
+      that.state = state;
+      that.dispatchEvent(new _Event('statechange'));
+      if (state === 'connected') {
+        that.dispatchEvent(new _Event('connect'));
+      }
+      else if (state === 'closed') {
+        that.dispatchEvent(new PresentationConnectionCloseEvent('close', {
+          reason: reason || 'closed',
+          message: message || ''
+        }));
+      }
+      else if (state === 'terminated') {
+        that.dispatchEvent(new _Event('terminate'));
+      }
+    };
+
+
     /**
      * Non-standard method to create a data channel with the remote browsing
      * context.
@@ -1043,7 +2584,7 @@
       var pendingPromise = null;
       return function () {
         if (pendingPromise) {
-          return pendingPromise();
+          return pendingPromise;
         }
         if (channel) {
           return new Promise(function (resolve, reject) {
@@ -1054,28 +2595,25 @@
           pendingPromise = null;
           channel = dataChannel;
           channel.onstatechange = function () {
-            if (channel.state !== that.state) {
-              that.state = channel.state;
-              if (that.onstatechange) {
-                that.onstatechange();
-              }
-            }
-            if (channel.state !== 'connected') {
+            var state = dataChannel.state;
+            if (state !== 'connected') {
               // Channel will have to be re-created
               channel = null;
             }
+            setState(state, dataChannel.closeReason, dataChannel.closeMessage);
           };
           channel.onmessage = function (message) {
-            if (that.onmessage) {
-              that.onmessage(message);
-            }
+            that.dispatchEvent(new _MessageEvent('message', {
+              data: message.data,
+              origin: message.origin
+            }));
           };
-          if (that.state !== channel.state) {
-            that.state = channel.state;
-            if (that.onstatechange) {
-              that.onstatechange();
-            }
-          }
+          setState(channel.state, channel.closeReason, channel.closeMessage);
+        }, function (err) {
+          pendingPromise = null;
+          log('error', 'could not create data channel', err);
+          setState('closed', 'error', 'Could not create data channel');
+          throw err;
         });
         return pendingPromise;
       };
@@ -1102,33 +2640,39 @@
     /**
      * Close the connection
      *
+     * The remote peer is notified and its connection gets closed as well. The
+     * presentation keeps running, and the controlling side may reconnect to
+     * it afterwards.
+     *
      * @function
      */
     this.close = function () {
       if (!channel) {
         return;
       }
-      channel.close();
-      that.channel = null;
+      // The channel's state change handler resets the channel
+      channel.close('closed', 'Connection closed');
     };
 
 
     /**
      * Terminate the presentation connection
      *
+     * Unlike "close", this ends the presentation for everyone: the receiving
+     * browsing context gets closed and all connections to it are terminated.
+     *
      * @function
      */
     this.terminate = function () {
       if (channel) {
-        channel.close();
+        // No need to close the channel, terminating the presentation takes
+        // care of informing the remote side
+        channel.onstatechange = null;
+        channel.onmessage = null;
+        channel = null;
       }
       remotePeer.terminate();
-      if (that.state !== 'terminated') {
-        that.state = 'terminated';
-        if (that.onstatechange) {
-          that.onstatechange();
-        }
-      }
+      setState('terminated');
     };
   };
 
@@ -1152,6 +2696,8 @@
    * @constructor
    */
   var PresentationAvailability = function () {
+    EventTarget.call(this);
+
     /**
      * Whether there are presentation displays available
      *
@@ -1179,17 +2725,317 @@
    * presentation request is properly started.
    *
    * @constructor
-   * @inherits {Event}
+   * @inherits {_Event}
+   * @param {String} type The type of the event (typically "connection")
    * @param {connection:PresentationConnection} eventInitDict An object that
    * points to the presentation connection to associate with the event
    */
-  var PresentationConnectionEvent = function (eventInitDict) {
+  var PresentationConnectionEvent = function (type, eventInitDict) {
+    _Event.call(this, type, eventInitDict);
     this.connection = eventInitDict.connection;
   };
 
 
 
 
+  /**********************************************************************
+  PresentationConnectionCloseEvent interface
+  **********************************************************************/
+
+  /**
+   * Event fired when a presentation connection gets closed.
+   *
+   * @constructor
+   * @inherits {_Event}
+   * @param {String} type The type of the event (typically "close")
+   * @param {reason:String, message:String} eventInitDict An object that
+   * details the reason for closing the connection ("closed", "error" or
+   * "wentaway") and a human-readable message
+   */
+  var PresentationConnectionCloseEvent = function (type, eventInitDict) {
+    _Event.call(this, type, eventInitDict);
+    this.reason = eventInitDict.reason;
+    this.message = eventInitDict.message || '';
+  };
+
+
+
+
+  /**********************************************************************
+  Display picker
+  **********************************************************************/
+
+  /**
+   * The key of the local storage entry where the last display selected by
+   * the user is persisted
+   *
+   * @private
+   * @type {String}
+   */
+  var lastDisplayStorageKey = 'w3cPresentation.lastDisplay';
+
+
+  /**
+   * The function that applications may set (through
+   * "navigator.w3cPresentation.setDisplayPicker") to let the user select a
+   * display with their own user interface. The default in-page dialog is used
+   * when not set.
+   *
+   * @private
+   * @type {function}
+   */
+  var displayPicker = null;
+
+
+  /**
+   * Human-friendly labels of the possible statuses of a display
+   *
+   * @private
+   */
+  var displayStatusLabels = {
+    available: 'Available',
+    presenting: 'Presenting'
+  };
+
+
+  /**
+   * Load the last display choice persisted in local storage
+   *
+   * @function
+   * @private
+   * @return {{mechanism:String, name:String}} The last choice, null if none
+   */
+  var loadLastDisplayChoice = function () {
+    try {
+      return JSON.parse(window.localStorage.getItem(lastDisplayStorageKey));
+    }
+    catch (err) {
+      return null;
+    }
+  };
+
+
+  /**
+   * Persist the display that the user selected in local storage
+   *
+   * @function
+   * @private
+   * @param {Display} display The selected display
+   */
+  var saveLastDisplayChoice = function (display) {
+    try {
+      window.localStorage.setItem(lastDisplayStorageKey, JSON.stringify({
+        mechanism: display.mechanism.name,
+        name: display.name
+      }));
+    }
+    catch (err) {
+      log('warn', 'could not persist last display choice', err);
+    }
+  };
+
+
+  /**
+   * Show the default in-page dialog that lets the user select a display
+   *
+   * The dialog is modal: focus is kept within the dialog while it is open,
+   * and restored to the previously focused element when it gets closed.
+   * The "Escape" key cancels the selection.
+   *
+   * The dialog uses inline styles. Class names starting with
+   * "w3c-presentation-picker" may be used to override them.
+   *
+   * @function
+   * @private
+   * @param {Array(Object)} choices The list of display choices, as passed to
+   * the display picker
+   * @return {Promise<Object>} The promise to get the choice that the user
+   * selected, null if the user cancelled the selection
+   */
+  var showDisplayPickerDialog = function (choices) {
+    return new Promise(function (resolve, reject) {
+      var previousFocus = document.activeElement;
+      var buttons = [];
+      var initialButton = null;
+
+      var createElement = function (tagName, className, style, text) {
+        var element = document.createElement(tagName);
+        element.className = 'w3c-presentation-picker' +
+          (className ? '-' + className : '');
+        element.setAttribute('style', style || '');
+        if (text) {
+          element.textContent = text;
+        }
+        return element;
+      };
+
+      var overlay = createElement('div', '',
+        'position: fixed; top: 0; right: 0; bottom: 0; left: 0;' +
+        'z-index: 2147483647; background: rgba(0, 0, 0, 0.5);' +
+        'display: flex; align-items: center; justify-content: center;');
+      var dialog = createElement('div', 'dialog',
+        'background: #fff; color: #222; font-family: sans-serif;' +
+        'padding: 1em 1.5em; border-radius: 4px; min-width: 16em;' +
+        'max-width: 90%; max-height: 90%; overflow: auto;');
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+      dialog.setAttribute('aria-labelledby', 'w3c-presentation-picker-title');
+      overlay.appendChild(dialog);
+
+      var title = createElement('h2', 'title', 'font-size: 1.2em;',
+        'Select a display');
+      title.id = 'w3c-presentation-picker-title';
+      dialog.appendChild(title);
+
+      // Group choices by mechanism, keeping the order in which mechanisms
+      // first appear in the list
+      var groups = [];
+      choices.forEach(function (choice) {
+        var group = groups.filter(function (group) {
+          return group.label === choice.mechanism;
+        })[0];
+        if (!group) {
+          group = { label: choice.mechanism, choices: [] };
+          groups.push(group);
+        }
+        group.choices.push(choice);
+      });
+
+      groups.forEach(function (group, idx) {
+        var section = createElement('div', 'group', 'margin: 0.5em 0;');
+        var heading = createElement('h3', 'group-title',
+          'font-size: 1em; margin: 0.5em 0;', group.label);
+        heading.id = 'w3c-presentation-picker-group-' + idx;
+        section.setAttribute('role', 'group');
+        section.setAttribute('aria-labelledby', heading.id);
+        section.appendChild(heading);
+
+        var list = createElement('ul', 'list',
+          'list-style: none; margin: 0; padding: 0;');
+        group.choices.forEach(function (choice) {
+          var item = createElement('li', 'item', 'margin: 0.25em 0;');
+          var button = createElement('button', 'display',
+            'width: 100%; text-align: left; padding: 0.5em; cursor: pointer;');
+          button.type = 'button';
+          button.appendChild(createElement('span', 'name',
+            'font-weight: bold;', choice.name));
+          button.appendChild(document.createTextNode(' '));
+          button.appendChild(createElement('span', 'status', 'color: #555;',
+            '(' + (displayStatusLabels[choice.status] || choice.status) +
+            (choice.lastChoice ? ', last used' : '') + ')'));
+          button.addEventListener('click', function () {
+            close(choice);
+          });
+          if (choice.lastChoice) {
+            initialButton = button;
+          }
+          buttons.push(button);
+          item.appendChild(button);
+          list.appendChild(item);
+        });
+        section.appendChild(list);
+        dialog.appendChild(section);
+      });
+
+      var cancelButton = createElement('button', 'cancel',
+        'margin-top: 0.5em; padding: 0.5em;', 'Cancel');
+      cancelButton.type = 'button';
+      cancelButton.addEventListener('click', function () {
+        close(null);
+      });
+      buttons.push(cancelButton);
+      dialog.appendChild(cancelButton);
+
+      var keydownListener = function (event) {
+        if ((event.key === 'Escape') || (event.key === 'Esc')) {
+          event.preventDefault();
+          close(null);
+        }
+        else if (event.key === 'Tab') {
+          // Keep focus within the dialog
+          var idx = buttons.indexOf(document.activeElement);
+          var next = event.shiftKey ? idx - 1 : idx + 1;
+          event.preventDefault();
+          buttons[(next + buttons.length) % buttons.length].focus();
+        }
+      };
+
+      overlay.addEventListener('click', function (event) {
+        if (event.target === overlay) {
+          close(null);
+        }
+      });
+
+      var close = function (choice) {
+        document.removeEventListener('keydown', keydownListener, true);
+        if (overlay.parentNode) {
+          overlay.parentNode.removeChild(overlay);
+        }
+        if (previousFocus && previousFocus.focus) {
+          previousFocus.focus();
+        }
+        resolve(choice);
+      };
+
+      document.addEventListener('keydown', keydownListener, true);
+      document.body.appendChild(overlay);
+      (initialButton || buttons[0]).focus();
+    });
+  };
+
+
+  /**
+   * Let the user select one of the given displays, through the display
+   * picker set by the application if any, through the default in-page dialog
+   * otherwise.
+   *
+   * The picker receives the list of choices (objects with the "name" of the
+   * display, the human-friendly label of its "mechanism", its "status", either
+   * "available" or "presenting", and a "lastChoice" flag set for the display
+   * that the user selected last time) and the URL to present. It returns one
+   * of the choices, or a Promise thereof, or null when the user cancels the
+   * selection.
+   *
+   * @function
+   * @private
+   * @param {Array(Display)} displays The displays the user may select
+   * @param {function} getStatus Function that returns the status of a display
+   * @param {String} url The URL to present
+   * @return {Promise<Display>} The promise to get the selected display. The
+   * promise is rejected with a DOMException named "AbortError" if the user
+   * does not select any display.
+   */
+  var pickPresentationDisplay = function (displays, getStatus, url) {
+    var lastChoice = loadLastDisplayChoice();
+    var choices = displays.map(function (display) {
+      return {
+        name: display.name,
+        mechanism: display.mechanism.label,
+        status: getStatus(display),
+        lastChoice: !!lastChoice &&
+          (lastChoice.mechanism === display.mechanism.name) &&
+          (lastChoice.name === display.name)
+      };
+    });
+    var picker = displayPicker || showDisplayPickerDialog;
+
+    return new Promise(function (resolve, reject) {
+      resolve(picker(choices, url));
+    }).then(function (choice) {
+      var display = displays[choices.indexOf(choice)];
+      if (!display) {
+        log('user did not select any display');
+        throw new _DOMException('AbortError');
+      }
+      log('user selected display "' + display.name + '"');
+      saveLastDisplayChoice(display);
+      return display;
+    });
+  };
+
+
+
+
   /**********************************************************************
   PresentationRequest interface
   **********************************************************************/
@@ -1201,55 +3047,150 @@
    * This shim implements both the controlling side and the receiving side.
    * However, note that this interface is useless on the receiving side.
    *
+   * The shim accepts a non-standard second parameter with options:
+   * - allowedOrigins: list of origins, in addition to that of the URL, from
+   * which the receiving browsing context may connect. This is useful when
+   * the receiving application redirects to another origin. Mechanisms that
+   * cannot check origins ignore the option.
+   *
    * @constructor
    * @param {String} url The URL to present when the intent is to be started
+   * @param {{allowedOrigins:Array(String)}} options Presentation options
    */
   var PresentationRequest = (function () {
     /**
      * The set of presentation connections known to the controlling context
      *
      * @private
-     * @type {Array({url:String, id:String, connection:PresentationConnection})}
+     * @type {Array({url:String, id:String, connection:PresentationConnection,
+     * display:Display})}
      */
     var setOfPresentations = [];
 
 
     /**
-     * The set of availability objects requested through the getAvailability
-     * method.
+     * Returns a new valid presentation connection identifier unique among
+     * all those present in the set of presentations
      *
+     * @function
      * @private
-     * @type {Array({A:PresentationAvailability, availabilityUrl:String})}
+     * @return {String} unique presentation connection id
      */
-    var setOfAvailabilityObjects = [];
+    var getNewValidPresentationConnectionIdentifier = function () {
+      var records = loadPresentationRecords();
+      var id = null;
+      var isKnownId = function (presentation) {
+        return presentation.id === id;
+      };
+      do {
+        id = Math.random().toString(36).substring(2, 12);
+      } while (setOfPresentations.some(isKnownId) || records.some(isKnownId));
+      return id;
+    };
 
 
     /**
-     * The set of available presentation displays
+     * The key of the local storage entry where presentation records are
+     * persisted so that presentations survive reloads of the controlling page
      *
      * @private
-     * @type {Array(Display)}
+     * @type {String}
      */
-    var listOfAvailablePresentationDisplays = [];
+    var presentationStorageKey = 'w3cPresentation.presentations';
 
 
     /**
-     * Returns a new valid presentation connection identifier unique among
-     * all those present in the set of presentations
+     * Load the presentation records persisted in local storage
      *
      * @function
      * @private
-     * @return {String} unique presentation connection id
+     * @return {Array({url:String, id:String, mechanism:String, display:Object})}
+     * The persisted presentation records, an empty list if local storage
+     * is not available
      */
-    var getNewValidPresentationConnectionIdentifier = function () {
-      return setOfPresentations.length;
+    var loadPresentationRecords = function () {
+      try {
+        return JSON.parse(window.localStorage.getItem(presentationStorageKey)) || [];
+      }
+      catch (err) {
+        return [];
+      }
+    };
+
+
+    /**
+     * Persist the given presentation records in local storage
+     *
+     * @function
+     * @private
+     * @param {Array(Object)} records The records to persist
+     */
+    var savePresentationRecords = function (records) {
+      try {
+        window.localStorage.setItem(presentationStorageKey, JSON.stringify(records));
+      }
+      catch (err) {
+        log('warn', 'could not persist presentation records', err);
+      }
+    };
+
+
+    /**
+     * Persist the record of the given presentation, unless the display does
+     * not support resuming presentations after a reload
+     *
+     * @function
+     * @private
+     * @param {String} url The presentation URL
+     * @param {String} id The presentation identifier
+     * @param {Display} display The display that runs the presentation
+     */
+    var persistPresentation = function (url, id, display) {
+      var identity = display.getIdentity();
+      if (!identity || !display.mechanism) {
+        return;
+      }
+      // A display runs one presentation at a time, a new presentation on the
+      // same receiving context supersedes previous ones
+      var records = loadPresentationRecords().filter(function (record) {
+        return (record.id !== id) &&
+          ((record.mechanism !== display.mechanism.name) ||
+            (JSON.stringify(record.display) !== JSON.stringify(identity)));
+      });
+      records.push({
+        url: url,
+        id: id,
+        mechanism: display.mechanism.name,
+        display: identity
+      });
+      savePresentationRecords(records);
+    };
+
+
+    /**
+     * Drop the persisted record of the given presentation
+     *
+     * @function
+     * @private
+     * @param {String} id The presentation identifier
+     */
+    var forgetPresentation = function (id) {
+      savePresentationRecords(loadPresentationRecords().filter(function (record) {
+        return record.id !== id;
+      }));
     };
 
 
     /**
      * The actual PresentationRequest interface
      */
-    var PresentationRequest = function (url) {
+    var PresentationRequest = function (url, options) {
+      EventTarget.call(this);
+
+      options = {
+        allowedOrigins: ((options && options.allowedOrigins) || []).slice()
+      };
+
       /**
        * Fired when the presentation connection associated with the object is
        * created, following a call to start, reconnect or, for the default
@@ -1278,9 +3219,14 @@
         return isAllowedToShowPopup()
           .then(monitorAvailablePresentationDisplays)
           .then(function () {
-            if (listOfAvailablePresentationDisplays.length === 0) {
+            var displays = listOfAvailablePresentationDisplays.filter(
+              function (display) {
+                return display.canPresent(url);
+              });
+            if (displays.length === 0) {
               throw new _DOMException('NotFoundError');
             }
+            return displays;
           })
           .then(requestUserToSelectPresentationDisplay)
           .then(navigateDisplayToPresentationUrl)
@@ -1300,10 +3246,12 @@
        * user agent at some point in the past for the exact same presentation
        * request URL.
        *
-       * TODO: the polyfill could perhaps save the set of presentations using the
-       * the local storage. This probably won't be enough to avoid permission
-       * prompts though.
-       * 
+       * Presentations are persisted in local storage, so this also works after
+       * the controlling page has been reloaded, provided the receiving
+       * browsing context still runs. Note that the call should then be made in
+       * response to a user action, as the mechanism may need to open a window
+       * to find the receiving browsing context again.
+       *
        * @function
        * @param {String} presentationId The identifier of the presentation 
        * @return {Promise<PresentationConnection>} The promise to have re-connected
@@ -1311,6 +3259,10 @@
        *   to re-establish a communication channel between the controlling and
        *   receiving applications.
        *   The promise is rejected if the given presentation identified is unknown.
+       *   It is rejected with a DOMException named "NotAllowedError" if the
+       *   user agent did not allow the mechanism to look for the receiving
+       *   browsing context (e.g. pop-up blocker), in which case the call may
+       *   be made again later on.
        */
       this.reconnect = function (presentationId) {
         return new Promise(function (resolve, reject) {
@@ -1328,10 +3280,39 @@
             if (connection) {
               resolve(connection);
               establishPresentationConnection(connection);
+              return;
             }
-            else {
+
+            var record = loadPresentationRecords().filter(function (record) {
+              return (record.url === url) && (record.id === presentationId);
+            })[0];
+            var mechanism = record ? registeredMechanisms.filter(function (mechanism) {
+              return mechanism.name === record.mechanism;
+            })[0] : null;
+            if (!mechanism) {
               reject(new _DOMException('NotFoundError'));
+              return;
             }
+
+            log('restore persisted presentation', presentationId,
+              '(' + mechanism.name + ')');
+            mechanism.restoreDisplay(url, record.display, options).then(function (display) {
+              display.mechanism = mechanism;
+              connection = createPresentationConnection(display, presentationId);
+              resolve(connection);
+              establishPresentationConnection(connection);
+            }, function (err) {
+              log('info', 'could not restore presentation', presentationId, err);
+              if (err && (err.name === 'NotAllowedError')) {
+                // The receiving context may still run, the user may try
+                // again once the user agent allows the mechanism to look
+                // for it
+                reject(err);
+                return;
+              }
+              forgetPresentation(presentationId);
+              reject(new _DOMException('NotFoundError'));
+            });
           });
         });
       };
@@ -1349,10 +3330,23 @@
        *  support that feature.
        */
       this.getAvailability = function () {
-        return new Promise(function (resolve, reject) {
-          log('warn', 'getAvailability is not supported');
-          reject(new _DOMException('NotSupportedError'));
-        });
+        if (availabilityPromise) {
+          return availabilityPromise;
+        }
+        availabilityPromise = monitorAvailablePresentationDisplays()
+          .then(function () {
+            var A = new PresentationAvailability();
+            A.value = listOfAvailablePresentationDisplays.some(
+              function (display) {
+                return display.canPresent(url);
+              });
+            setOfAvailabilityObjects.push({
+              A: A,
+              availabilityUrl: url
+            });
+            return A;
+          });
+        return availabilityPromise;
       };
 
 
@@ -1366,6 +3360,14 @@
       var thisPresentationRequest = this;
 
 
+      /**
+       * The promise returned by getAvailability, set upon first call
+       *
+       * @type {Promise<PresentationAvailability>}
+       */
+      var availabilityPromise = null;
+
+
       /**
        * Determine whether the algorithm is allowed to show a popup
        *
@@ -1386,86 +3388,27 @@
       };
 
 
-      /**
-       * Monitor the list of presentation displays that are available and return
-       * that list
-       *
-       * @function
-       * @private
-       * @return {Promise} The Promise that the list of presentation displays
-       * will have been refreshed. The promise is never rejected.
-       */
-       var monitorAvailablePresentationDisplays = function () {
-        return new Promise(function (resolve, reject) {
-          queueTask(function () {
-            log('get list of available displays from registered mechanisms');
-            Promise.all(registeredMechanisms.map(function (mechanism) {
-              return mechanism.getAvailableDisplays();
-            })).then(function (lists) {
-              // Flattten the lists of displays
-              var newDisplays = lists.reduce(function (a, b) {
-                return a.concat(b);
-              });
-
-              setOfAvailabilityObjects.forEach(function (availabilityObject) {
-                var previousAvailability = availabilityObject.A.value;
-                var newAvailability = newDisplays.some(function (display) {
-                  log('warn', 'TODO: is display compatible with availabilityUrl?');
-                  return true;
-                });
-                if (previousAvailability !== newAvailability) {
-                  queueTask(function () {
-                    availabilityObject.A.value = newAvailability;
-                    if (availabilityObject.A.onchange) {
-                      availabilityObject.A.onchange();
-                    }
-                  });
-                }
-              });
-              listOfAvailablePresentationDisplays = newDisplays;
-              resolve();
-            });
-          });
-        });
-      };
-
-
       /**
        * Request the user permission for the user of a presentation display and
        * selection of one presentation display
        *
        * @function
        * @private
+       * @param {Array(Display)} displays The displays compatible with the
+       * presentation URL
        * @return {Promise} The promise to get the presentation display that the
        * user will have selected. The promise is rejected with a DOMException
        * named "AbortError" if the user does not select any display.
        */
-      var requestUserToSelectPresentationDisplay = function () {
-        return new Promise(function (resolve, reject) {
-          var msg = 'Select a display:\n\n';
-          var idx = 0;
-          listOfAvailablePresentationDisplays.forEach(function (display) {
-            idx += 1;
-            msg += '[' + idx + '] ' + display.name + '\n';
+      var requestUserToSelectPresentationDisplay = function (displays) {
+        var getStatus = function (display) {
+          var presenting = setOfPresentations.some(function (presentation) {
+            return (presentation.display === display) &&
+              (presentation.connection.state === 'connected');
           });
-          var choice = window.prompt(msg, '1');
-          var display = null;
-          try {
-            choice = parseInt(choice, 10);
-            choice -= 1;
-          }
-          catch (e) {
-            reject(new _DOMException('AbortError'));
-            return;
-          }
-          display = listOfAvailablePresentationDisplays[choice];
-          if (display) {
-            resolve(display);
-          }
-          else {
-            reject(new _DOMException('AbortError'));
-          }
-        });
+          return presenting ? 'presenting' : 'available';
+        };
+        return pickPresentationDisplay(displays, getStatus, url);
       };
 
 
@@ -1485,7 +3428,7 @@
         return new Promise(function (resolve, reject) {
           queueTask(function () {
             log('navigate display to requested url');
-            display.navigate(url).then(function () {
+            display.navigate(url, options).then(function () {
               resolve(display);
             }, reject);
           });
@@ -1501,18 +3444,33 @@
        *
        * @function
        * @private
+       * @param {Display} display The display that runs the presentation
+       * @param {String} presentationId The identifier of the presentation when
+       * it is restored, a new identifier is generated when not given
        * @return PresentationConnection A new presentation connection with a
        * valid connection id. The presentation connection is automatically
-       * added to the set of presentations.
+       * added to the set of presentations, and persisted until terminated.
        */
-      var createPresentationConnection = function (display) {
+      var createPresentationConnection = function (display, presentationId) {
         var connection = new PresentationConnection(display);
-        connection.id = getNewValidPresentationConnectionIdentifier();
+        connection.id = presentationId ||
+          getNewValidPresentationConnectionIdentifier();
         connection.state = 'closed';
         setOfPresentations.push({
           url: url,
           id: connection.id,
-          connection: connection
+          connection: connection,
+          display: display
+        });
+        persistPresentation(url, connection.id, display);
+        connection.addEventListener('statechange', function () {
+          if (connection.state === 'connected') {
+            // Identity of the receiving context may only be known now
+            persistPresentation(url, connection.id, display);
+          }
+          else if (connection.state === 'terminated') {
+            forgetPresentation(connection.id);
+          }
         });
         return connection;
       };
@@ -1534,12 +3492,10 @@
         // Queue a task to fire an event named "connection" at
         // presentationRequest with S as its connection attribute. 
         queueTask(function () {
-          var connectEvent = new PresentationConnectionEvent({
+          var connectEvent = new PresentationConnectionEvent('connection', {
             connection: connection
           });
-          if (thisPresentationRequest.onconnection) {
-            thisPresentationRequest.onconnection(connectEvent);
-          }
+          thisPresentationRequest.dispatchEvent(connectEvent);
         });
 
         if (connection.state === 'connected') {
@@ -1553,13 +3509,14 @@
                 if ((connection !== presentation.connection) &&
                     (presentation.id === connection.id)) {
                   queueTask(function () {
-                    if (presentation.connection.onstatechange) {
-                      presentation.connection.onstatechange();
-                    }
+                    presentation.connection.dispatchEvent(
+                      new _Event('statechange'));
                   });
                 }
               });
             });
+          }, function (err) {
+            log('warn', 'could not establish presentation connection', err);
           });
         });
       };
@@ -1584,6 +3541,8 @@
    * @constructor
    */
   var PresentationReceiver = function () {
+    EventTarget.call(this);
+
     /**
      * Fired when a new incoming presentation connection is detected.
      * A call to "getConnections" will return the list of presentations.
@@ -1593,6 +3552,17 @@
     this.onconnection = null;
 
 
+    /**
+     * Non-standard list of origins from which controlling browsing contexts
+     * may connect, in addition to the origin of the receiving browsing
+     * context. Must be set before the "load" event fires. Mechanisms that
+     * cannot check origins ignore the list.
+     *
+     * @type {Array(String)}
+     */
+    this.allowedOrigins = [];
+
+
     /**
      * Retrieve the first connected presentation connection as it becomes
      * available
@@ -1698,12 +3668,11 @@
      */
     var monitorIncomingPresentationConnections = function () {
       queueTask(function () {
-        var connection = null;
         registeredMechanisms.forEach(function (mechanism) {
           mechanism.monitorIncomingControllers();
           mechanism.onincomingcontroller = function (controller) {
             log('new incoming presentation connection');
-            connection = new PresentationConnection(controller);
+            var connection = new PresentationConnection(controller);
             connection.createDataChannel().then(function () {
               connection.id = 'connection-' + setOfIncomingPresentations.length;
               setOfIncomingPresentations.push({
@@ -1711,9 +3680,10 @@
                 id: connection.id,
                 connection: connection
               });
-              if (thisPresentationReceiver.onconnection) {
-                thisPresentationReceiver.onconnection();
-              }
+              thisPresentationReceiver.dispatchEvent(
+                new PresentationConnectionEvent('connection', {
+                  connection: connection
+                }));
               if (pendingResolveFunction) {
                 pendingResolveFunction(connection);
                 pendingResolveFunction = null;
@@ -1780,6 +3750,31 @@
    */
   Presentation.registerCastApplication = function (url, id) {
     CastPresentationMechanism.registerCastApplication(url, id);
+
+    // The Cast display may now be compatible with more URLs
+    updateAvailabilityObjects();
+  };
+
+
+
+  /**
+   * Non-standard function exposed so that applications may let the user
+   * select a display with their own user interface instead of the default
+   * in-page dialog (or automate the selection)
+   *
+   * The picker is called with the list of choices and the URL to present.
+   * Each choice has the "name" of the display, the "mechanism" label under
+   * which displays should be grouped, the "status" of the display (either
+   * "available" or "presenting") and a "lastChoice" flag. The picker must
+   * return one of the choices, or a Promise thereof, or null to cancel the
+   * selection.
+   *
+   * @function
+   * @param {function} picker The display picker, null to restore the
+   * default dialog
+   */
+  Presentation.setDisplayPicker = function (picker) {
+    displayPicker = picker;
   };
 
 
@@ -1790,6 +3785,9 @@
   **********************************************************************/
   registerPresentationMechanism(new WindowPresentationMechanism());
   registerPresentationMechanism(new CastPresentationMechanism());
+  if (window.BroadcastChannel) {
+    registerPresentationMechanism(new BroadcastChannelPresentationMechanism());
+  }
 
 
 
@@ -1805,14 +3803,26 @@
   // Expose the PresentationRequest constructor to the window object
   window.w3cPresentationRequest = PresentationRequest;
 
+  // Expose the event interfaces so that applications may check for them
+  window.w3cPresentationConnectionEvent = PresentationConnectionEvent;
+  window.w3cPresentationConnectionCloseEvent = PresentationConnectionCloseEvent;
+
   // Also expose the interfaces and method required to extend the shim with
   // new presentation mechanisms defined in some external JS file
   navigator.w3cPresentation.extend = {
+    log: log,
+    queueTask: queueTask,
     _DOMException: _DOMException,
+    _Event: _Event,
+    _MessageEvent: _MessageEvent,
+    EventTarget: EventTarget,
     PresentationMechanism: PresentationMechanism,
     RemoteController: RemoteController,
     Display: Display,
     DataChannel: DataChannel,
+    createCloseMessage: createCloseMessage,
+    isCloseMessage: isCloseMessage,
+    normalizeUrl: normalizeUrl,
     registerPresentationMechanism: registerPresentationMechanism
   };
 }());
\ No newline at end of file
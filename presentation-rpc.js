@@ -0,0 +1,321 @@
+/**
+ * @fileOverview Request/response layer on top of a presentation connection,
+ * used by both the HTML Slidy remote and the receiver.
+ *
+ * "PresentationConnection.send()" is one-way. This layer tags requests with
+ * a correlation id and lets the other end reply with the outcome, so that
+ * calls return promises that resolve with the result of the request or
+ * reject with the error reported by the other end.
+ *
+ * Messages exchanged over the connection are:
+ * - requests: {id, cmd, params}. The "id" is optional, requests without id
+ * do not get any reply when they succeed.
+ * - results: {id, result}
+ * - errors: {id, error, message, cmd}, where "error" is an error code. The
+ * "id" is null when the error cannot be correlated to a request, e.g. when
+ * the request is not a valid request in the first place.
+ * - any other message is a notification (e.g. the state of the slideshow)
+ *
+ * Calls reject with an Error whose "code" property is the error code
+ * reported by the other end, or one of the following local codes:
+ * - "not-connected": the connection is not connected
+ * - "timeout": no reply arrived in time
+ * - "closed": the connection was closed before a reply arrived
+ */
+(function () {
+  /**
+   * Default time to wait for a reply, in milliseconds
+   */
+  var defaultTimeout = 5000;
+
+
+  /**
+   * Counter used to generate correlation ids, shared among instances to
+   * avoid confusion between successive connections
+   */
+  var lastId = 0;
+
+
+  /**
+   * Create an RPC error
+   *
+   * @function
+   * @param {String} code The error code
+   * @param {String} message A human-readable description of the error
+   * @param {String} cmd The name of the command that triggered the error, if
+   *  known
+   * @return {Error} The error, with "code" and "cmd" properties
+   */
+  var createError = function (code, message, cmd) {
+    var err = new Error(message || code);
+    err.name = 'PresentationRpcError';
+    err.code = code;
+    err.cmd = cmd || null;
+    return err;
+  };
+
+
+  /**
+   * Creates a request/response layer on top of the given connection
+   *
+   * @constructor
+   * @param {PresentationConnection} connection The connection to use
+   * @param {Object} options Options, with the default "timeout" of calls in
+   *  milliseconds
+   */
+  var PresentationRpc = function (connection, options) {
+    var that = this;
+    options = options || {};
+
+    /**
+     * Calls waiting for a reply, indexed by correlation id
+     */
+    var pendingCalls = {};
+
+
+    /**
+     * Function called with incoming requests. It receives the request
+     * message and returns the result of the request, or a Promise that
+     * resolves with it. Errors thrown (or rejections) are reported to the
+     * other end, with the "code" of the error if it has one and as
+     * "command-failed" otherwise.
+     *
+     * @type {function}
+     */
+    this.onrequest = null;
+
+
+    /**
+     * Function called with incoming notifications, meaning messages that are
+     * neither requests nor replies to pending calls
+     *
+     * @type {function}
+     */
+    this.onnotification = null;
+
+
+    /**
+     * Send a request to the other end
+     *
+     * @function
+     * @param {String} cmd The name of the command
+     * @param {Array} params The parameters of the command, if any
+     * @param {Number} timeout Time to wait for a reply in milliseconds, the
+     *  default timeout of the instance if not given
+     * @return {Promise} The promise to get the result of the request
+     */
+    this.call = function (cmd, params, timeout) {
+      return new Promise(function (resolve, reject) {
+        if (connection.state !== 'connected') {
+          reject(createError('not-connected',
+            'Presentation connection is not connected', cmd));
+          return;
+        }
+
+        lastId += 1;
+        var id = lastId;
+        var message = { id: id, cmd: cmd };
+        if (params && (params.length > 0)) {
+          message.params = params;
+        }
+
+        pendingCalls[id] = {
+          cmd: cmd,
+          resolve: resolve,
+          reject: reject,
+          timer: setTimeout(function () {
+            settle(id, createError('timeout',
+              'No reply to command "' + cmd + '"', cmd));
+          }, timeout || options.timeout || defaultTimeout)
+        };
+
+        try {
+          connection.send(message);
+        }
+        catch (err) {
+          settle(id, createError('not-connected',
+            'Could not send command "' + cmd + '"', cmd));
+        }
+      });
+    };
+
+
+    /**
+     * Send a notification to the other end, if connected. The connection
+     * may go away at any time (e.g. when the other end closes its window),
+     * failures to send are logged and never thrown.
+     *
+     * @function
+     * @param {Object} message The notification
+     * @return {Boolean} true if the notification was sent
+     */
+    this.notify = function (message) {
+      if (connection.state !== 'connected') {
+        return false;
+      }
+      try {
+        connection.send(message);
+        return true;
+      }
+      catch (err) {
+        console.warn('Could not send message over presentation connection',
+          err);
+        return false;
+      }
+    };
+
+
+    /**
+     * Report an error that cannot be correlated to a request
+     *
+     * @function
+     * @param {String} code The error code
+     * @param {String} message A human-readable description of the error
+     * @param {String} cmd The name of the command that triggered the error,
+     *  if known
+     */
+    this.notifyError = function (code, message, cmd) {
+      that.notify({
+        id: null,
+        error: code,
+        message: message,
+        cmd: cmd || null
+      });
+    };
+
+
+    /**
+     * Stop using the connection, rejecting pending calls
+     *
+     * @function
+     */
+    this.close = function () {
+      connection.removeEventListener('message', messageHandler);
+      connection.removeEventListener('statechange', statechangeHandler);
+      rejectAll();
+    };
+
+
+    /**
+     * Settle the pending call with the given id
+     *
+     * @function
+     * @private
+     * @param {Number} id The correlation id of the call
+     * @param {Error} err The error to reject the call with, if any
+     * @param {*} result The result to resolve the call with otherwise
+     */
+    var settle = function (id, err, result) {
+      var call = pendingCalls[id];
+      if (!call) {
+        return;
+      }
+      delete pendingCalls[id];
+      clearTimeout(call.timer);
+      if (err) {
+        call.reject(err);
+      }
+      else {
+        call.resolve(result);
+      }
+    };
+
+
+    /**
+     * Reject all pending calls, typically because the connection is gone
+     *
+     * @function
+     * @private
+     */
+    var rejectAll = function () {
+      Object.keys(pendingCalls).forEach(function (id) {
+        settle(id, createError('closed',
+          'Presentation connection closed before command "' +
+          pendingCalls[id].cmd + '" completed', pendingCalls[id].cmd));
+      });
+    };
+
+
+    /**
+     * Run the given request and reply with its outcome
+     *
+     * @function
+     * @private
+     * @param {Object} request The request message
+     */
+    var handleRequest = function (request) {
+      var hasId = (request.id !== undefined) && (request.id !== null);
+      new Promise(function (resolve) {
+        if (!that.onrequest) {
+          throw createError('unknown-command',
+            'Unknown command "' + request.cmd + '"', request.cmd);
+        }
+        resolve(that.onrequest(request));
+      }).then(function (result) {
+        if (hasId) {
+          that.notify({
+            id: request.id,
+            result: (result === undefined) ? null : result
+          });
+        }
+      }, function (err) {
+        // Errors are also reported for requests without id, so that the
+        // other end may at least log them
+        that.notify({
+          id: hasId ? request.id : null,
+          error: err.code || 'command-failed',
+          message: err.message,
+          cmd: request.cmd
+        });
+      });
+    };
+
+
+    /**
+     * Dispatch incoming messages
+     */
+    var messageHandler = function (event) {
+      var message = event.data;
+      var isObject = message && (typeof message === 'object');
+      var isReply = isObject &&
+        (message.id !== undefined) && (message.id !== null) &&
+        (message.hasOwnProperty('result') || message.hasOwnProperty('error'));
+      if (isReply) {
+        // Replies may arrive after the call timed out, ignore them. Note
+        // replies must never be handled as requests, even though errors
+        // carry the "cmd" that triggered them.
+        settle(message.id,
+          message.error ?
+            createError(message.error, message.message, message.cmd) :
+            null,
+          message.result);
+      }
+      else if (isObject && (typeof message.cmd === 'string') &&
+          !message.hasOwnProperty('error')) {
+        handleRequest(message);
+      }
+      else if (that.onnotification) {
+        that.onnotification(message);
+      }
+    };
+
+
+    /**
+     * Reject pending calls when the connection goes away
+     */
+    var statechangeHandler = function () {
+      if (connection.state !== 'connected') {
+        rejectAll();
+      }
+    };
+
+
+    connection.addEventListener('message', messageHandler);
+    connection.addEventListener('statechange', statechangeHandler);
+  };
+
+
+  PresentationRpc.createError = createError;
+
+  window.PresentationRpc = PresentationRpc;
+})();
@@ -0,0 +1,274 @@
+/**
+ * @fileOverview Presenter timer used by the HTML Slidy remote to help the
+ * presenter keep track of time: total elapsed time, countdown to the end of
+ * the talk, time spent on the current slide and pacing against per-slide
+ * time budgets.
+ *
+ * The timer only computes times, the remote renders them. Slide changes are
+ * fed to the timer through "updateSlides" with the state of the slideshow
+ * reported by the receiver.
+ *
+ * Slideshows may declare time budgets for slides with a "data-duration"
+ * attribute on slide elements (reported in the "durations" property of the
+ * slideshow state, in seconds). The remaining talk length is evenly split
+ * among slides that do not declare any budget.
+ */
+(function () {
+  /**
+   * Creates a presenter timer
+   *
+   * @constructor
+   * @param {Number} talkLength Length of the talk, in milliseconds
+   */
+  var PresenterTimer = function (talkLength) {
+    var that = this;
+
+    /**
+     * Time accumulated while the timer was running, before the last start
+     */
+    var accumulated = 0;
+
+    /**
+     * Time at which the timer was last started, null when paused
+     */
+    var startedAt = null;
+
+    /**
+     * Index of the current slide, and elapsed time when the presenter
+     * entered that slide
+     */
+    var slideIndex = null;
+    var slideEnteredAt = 0;
+
+    /**
+     * Time spent on each slide, indexed by slide index, not counting the
+     * current visit of the current slide
+     */
+    var dwellTimes = [];
+
+    /**
+     * Time budgets of slides declared by the slideshow, in seconds, null for
+     * slides that do not declare any
+     */
+    var durations = [];
+
+    /**
+     * Number of slides in the slideshow
+     */
+    var slideCount = 0;
+
+
+    /**
+     * Return the total elapsed time
+     *
+     * @function
+     * @return {Number} Elapsed time in milliseconds
+     */
+    this.getElapsed = function () {
+      return accumulated + (startedAt !== null ? Date.now() - startedAt : 0);
+    };
+
+
+    /**
+     * Whether the timer is running
+     *
+     * @function
+     * @return {Boolean} true when the timer is running
+     */
+    this.isRunning = function () {
+      return startedAt !== null;
+    };
+
+
+    /**
+     * Start or resume the timer
+     *
+     * @function
+     */
+    this.start = function () {
+      if (startedAt === null) {
+        startedAt = Date.now();
+      }
+    };
+
+
+    /**
+     * Pause the timer
+     *
+     * @function
+     */
+    this.pause = function () {
+      if (startedAt !== null) {
+        accumulated += Date.now() - startedAt;
+        startedAt = null;
+      }
+    };
+
+
+    /**
+     * Stop the timer and reset all times
+     *
+     * @function
+     */
+    this.reset = function () {
+      accumulated = 0;
+      startedAt = null;
+      slideEnteredAt = 0;
+      dwellTimes = [];
+    };
+
+
+    /**
+     * Set the length of the talk
+     *
+     * @function
+     * @param {Number} length Length of the talk, in milliseconds
+     */
+    this.setTalkLength = function (length) {
+      talkLength = length;
+    };
+
+
+    /**
+     * Update the timer with the state of the slideshow reported by the
+     * receiver, noting slide changes
+     *
+     * @function
+     * @param {Object} state The state of the slideshow, null when no
+     *  slideshow is loaded (e.g. while a new slideshow loads)
+     */
+    this.updateSlides = function (state) {
+      if (!state) {
+        slideIndex = null;
+        dwellTimes = [];
+        return;
+      }
+      var elapsed = that.getElapsed();
+      durations = state.durations || [];
+      slideCount = state.slideCount;
+      if (state.slideIndex === slideIndex) {
+        return;
+      }
+      if (slideIndex !== null) {
+        dwellTimes[slideIndex] = (dwellTimes[slideIndex] || 0) +
+          elapsed - slideEnteredAt;
+      }
+      slideIndex = state.slideIndex;
+      slideEnteredAt = elapsed;
+    };
+
+
+    /**
+     * Compute the time budget of each slide, in milliseconds
+     *
+     * @function
+     * @private
+     * @return {Array(Number)} The budget of each slide
+     */
+    var getBudgets = function () {
+      var declared = 0;
+      var undeclaredCount = 0;
+      var idx = 0;
+      for (idx = 0; idx < slideCount; idx++) {
+        if (typeof durations[idx] === 'number') {
+          declared += durations[idx] * 1000;
+        }
+        else {
+          undeclaredCount += 1;
+        }
+      }
+      var share = undeclaredCount ?
+        Math.max(talkLength - declared, 0) / undeclaredCount : 0;
+      var budgets = [];
+      for (idx = 0; idx < slideCount; idx++) {
+        budgets.push((typeof durations[idx] === 'number') ?
+          durations[idx] * 1000 : share);
+      }
+      return budgets;
+    };
+
+
+    /**
+     * Compute the status of the timer
+     *
+     * The "warning" property is one of:
+     * - null: the presenter is on schedule
+     * - "slide": the presenter stays on the current slide longer than its
+     *   budget, but is still on schedule overall
+     * - "behind": the presenter is behind schedule, meaning that the elapsed
+     *   time exceeds the planned time at the end of the current slide
+     * - "overtime": the elapsed time exceeds the talk length
+     *
+     * @function
+     * @return {Object} The status of the timer, with the "elapsed" time, the
+     *  "remaining" time (negative in overtime), the "slideDwell" time of the
+     *  current visit of the current slide, the "slideTotal" time spent on the
+     *  current slide over all visits, its "slideBudget" (null if unknown),
+     *  the time by which the presenter is "behind" schedule (negative when
+     *  ahead, null if unknown), and a "warning". All times are in
+     *  milliseconds.
+     */
+    this.getStatus = function () {
+      var elapsed = that.getElapsed();
+      var budgets = getBudgets();
+      var slideDwell = (slideIndex !== null) ? elapsed - slideEnteredAt : 0;
+      var slideBudget = (slideIndex !== null) && (slideIndex < budgets.length) ?
+        budgets[slideIndex] : null;
+      var behind = null;
+      var warning = null;
+
+      if (slideBudget !== null) {
+        behind = elapsed - budgets.slice(0, slideIndex + 1)
+          .reduce(function (sum, budget) {
+            return sum + budget;
+          }, 0);
+      }
+
+      if (elapsed > talkLength) {
+        warning = 'overtime';
+      }
+      else if ((behind !== null) && (behind > 0)) {
+        warning = 'behind';
+      }
+      else if ((slideBudget !== null) && (slideDwell > slideBudget)) {
+        warning = 'slide';
+      }
+
+      return {
+        running: that.isRunning(),
+        elapsed: elapsed,
+        remaining: talkLength - elapsed,
+        slideIndex: slideIndex,
+        slideDwell: slideDwell,
+        slideTotal: slideDwell + ((slideIndex !== null) ?
+          (dwellTimes[slideIndex] || 0) : 0),
+        slideBudget: slideBudget,
+        behind: behind,
+        warning: warning
+      };
+    };
+  };
+
+
+  /**
+   * Format the given duration as "[-]h:mm:ss" or "[-]m:ss"
+   *
+   * @function
+   * @param {Number} duration The duration in milliseconds
+   * @return {String} The formatted duration
+   */
+  PresenterTimer.formatDuration = function (duration) {
+    var sign = (duration < 0) ? '-' : '';
+    var seconds = Math.floor(Math.abs(duration) / 1000);
+    var hours = Math.floor(seconds / 3600);
+    var minutes = Math.floor((seconds % 3600) / 60);
+    var pad = function (value) {
+      return (value < 10) ? '0' + value : '' + value;
+    };
+    seconds = seconds % 60;
+    return sign + (hours ? hours + ':' + pad(minutes) : minutes) + ':' + pad(seconds);
+  };
+
+
+  window.PresenterTimer = PresenterTimer;
+})();
@@ -1,50 +1,1450 @@
 /**
- * Pointer to the projected slide show if there is one
+ * Controllers connected to the projected slide show, in order of
+ * connection. Each controller has an "id", a "name", its presentation
+ * "connection" and the request/response layer on top of it ("rpc").
  */
-var presentationConnection = null;
+var controllers = [];
 
 /**
  * @fileOverview Code needed by the HTML Slidy receiver application to
  * listen to messages from the presentation sender and react accordingly,
  * dispatching received commands to the controlled slide show.
  */
+
+/**
+ * Origins of the Slidy remotes that may control this receiver, in addition
+ * to the origin of the receiver itself
+ */
+navigator.w3cPresentation.receiver.allowedOrigins = [
+  'https://webscreens.github.io',
+  'https://tidoust.github.io',
+  'https://www.w3.org'
+];
+
 window.onload = function () {
   /**
-   * Pointer to the "w3c_slidy" object in controlled slideshow
+   * The controlled slideshow, null when no slideshow is loaded. The object
+   * exposes:
+   * - run(name, params): runs the given framework-neutral command (see
+   * "DeckBridge.commands" in deck-bridge.js)
+   * - snapshot(): takes a snapshot of the slideshow (see "DeckBridge.connect"
+   * in deck-bridge.js)
+   * - mirror(): returns a promise to get a copy of the current and upcoming
+   * slides (see "getMirror" in "DeckBridge.connect")
+   * - close(): stops controlling the slideshow
+   * Functions that run commands and take snapshots return promises that
+   * resolve with a snapshot of the slideshow.
    */
-  var controlledSlidy = null;
+  var deck = null;
 
   /**
    * The controlled slideshow is displayed in a child iframe
    */
   var iframe = document.querySelector('iframe');
   iframe.onload = function () {
-    controlledSlidy = iframe.contentWindow.w3c_slidy;
+    // Ignore the initial blank document
+    if (!slideshowUrl) {
+      return;
+    }
+    closeDeck();
+    loadCount += 1;
+    var load = loadCount;
+    findDeck().then(function (newDeck) {
+      if (load !== loadCount) {
+        newDeck.close();
+        return;
+      }
+      clearTimeout(loadTimer);
+      deck = newDeck;
+      showLoadError(null);
+      if (pendingOpen) {
+        pendingOpen.resolve();
+        pendingOpen = null;
+      }
+      publishState(true);
+    }, function (err) {
+      if (load === loadCount) {
+        clearTimeout(loadTimer);
+        reportLoadFailure(err);
+      }
+    });
+  };
+  iframe.addEventListener('error', function () {
+    clearTimeout(loadTimer);
+    reportLoadFailure(window.PresentationRpc.createError('deck-load-failed',
+      'The slideshow at "' + slideshowUrl + '" could not be loaded'));
+  });
+
+  /**
+   * Element that explains why the slideshow could not be shown on the
+   * projected screen
+   */
+  var loadError = document.getElementById('load-error');
+
+  /**
+   * URL of the slideshow requested by the last "open" command
+   */
+  var slideshowUrl = null;
+
+  /**
+   * Time to wait for the slideshow to load, in milliseconds. Kept lower
+   * than the time the controller waits for a reply to "open" so that it
+   * gets a meaningful error.
+   */
+  var loadTimeout = 20000;
+
+  /**
+   * Timer that reports a failure when the slideshow takes too long to load
+   */
+  var loadTimer = null;
+
+  /**
+   * Number of slideshow loads so far, used to ignore the outcome of loads
+   * that were superseded by another one
+   */
+  var loadCount = 0;
+
+  /**
+   * Time to wait for the deck bridge of a slideshow served from another
+   * origin to reply, in milliseconds
+   */
+  var bridgeTimeout = 2000;
+
+  /**
+   * Control the slideshow loaded in the iframe directly, which requires the
+   * slideshow to be served from the same origin
+   *
+   * @function
+   * @param {Object} slideshow The slideshow returned by "DeckBridge.connect"
+   * @return {Object} The controlled slideshow (see "deck")
+   */
+  var createDirectDeck = function (slideshow) {
+    var win = iframe.contentWindow;
+
+    // Report changes that do not come from the controller, e.g. when
+    // someone uses the keyboard or mouse attached to the projector
+    [
+      'keydown',
+      'keyup',
+      'click',
+      'touchend',
+      'hashchange',
+      'resize'
+    ].forEach(function (type) {
+      win.addEventListener(type, schedulePublishState, true);
+    });
+
+    return {
+      run: function (name, params) {
+        return new Promise(function (resolve) {
+          slideshow.run(name, params);
+          resolve(slideshow.getSnapshot());
+        });
+      },
+      snapshot: function () {
+        return new Promise(function (resolve) {
+          resolve(slideshow.getSnapshot());
+        });
+      },
+      mirror: function () {
+        return new Promise(function (resolve) {
+          resolve(slideshow.getMirror());
+        });
+      },
+      close: function () {}
+    };
+  };
+
+  /**
+   * Control the slideshow loaded in the iframe through the deck bridge
+   * that the slideshow includes (see deck-bridge.js). The request/response
+   * layer runs on top of "postMessage" in that case.
+   *
+   * @function
+   * @return {Promise} The promise to get the controlled slideshow (see
+   *  "deck"), rejected with a "deck-cross-origin" error if the bridge does
+   *  not reply (see "findDeck" for other errors)
+   */
+  var connectBridgedDeck = function () {
+    var win = iframe.contentWindow;
+    var origin = new URL(slideshowUrl).origin;
+    var listeners = [];
+
+    var frameMessageHandler = function (event) {
+      var message = event.data ? event.data.deckBridge : null;
+      if ((event.source !== win) || (event.origin !== origin) || !message) {
+        return;
+      }
+      listeners.forEach(function (listener) {
+        listener({ data: message });
+      });
+    };
+
+    // Minimal connection-like wrapper around the iframe window
+    var channel = {
+      state: 'connected',
+      send: function (message) {
+        win.postMessage({ deckBridge: message }, origin);
+      },
+      addEventListener: function (type, listener) {
+        if (type === 'message') {
+          listeners.push(listener);
+        }
+      },
+      removeEventListener: function (type, listener) {
+        listeners = listeners.filter(function (registered) {
+          return registered !== listener;
+        });
+      }
+    };
+
+    window.addEventListener('message', frameMessageHandler);
+    var bridgeRpc = new window.PresentationRpc(channel, { timeout: bridgeTimeout });
+    bridgeRpc.onnotification = function (message) {
+      if (message && message.changed) {
+        schedulePublishState();
+      }
+    };
+
+    var bridgedDeck = {
+      run: function (name, params) {
+        return bridgeRpc.call(name, params).catch(function (err) {
+          // Only the lack of support for the command is worth reporting as
+          // such to the controller
+          var error = new Error(err.message);
+          if (err.code === 'unsupported-command') {
+            error.code = err.code;
+          }
+          throw error;
+        });
+      },
+      snapshot: function () {
+        return bridgeRpc.call('snapshot');
+      },
+      mirror: function () {
+        return bridgeRpc.call('mirror');
+      },
+      close: function () {
+        bridgeRpc.close();
+        window.removeEventListener('message', frameMessageHandler);
+      }
+    };
+
+    // The bridge replies to "hello" right away, but the slide framework may
+    // take a while to get ready before the first snapshot
+    return bridgeRpc.call('hello').then(function () {
+      return bridgeRpc.call('snapshot', [], loadTimeout).catch(function (err) {
+        if (err.code !== 'deck-unsupported') {
+          err.code = 'deck-load-failed';
+        }
+        throw err;
+      });
+    }, function () {
+      throw window.PresentationRpc.createError('deck-cross-origin',
+        'The slideshow at "' + slideshowUrl + '" is served from another ' +
+        'origin and does not include the deck bridge script');
+    }).then(function (snapshot) {
+      console.info('controlling ' + snapshot.state.framework +
+        ' slideshow through deck bridge');
+      return bridgedDeck;
+    }, function (err) {
+      bridgedDeck.close();
+      throw window.PresentationRpc.createError(err.code, err.message);
+    });
+  };
+
+  /**
+   * Find a way to control the slideshow loaded in the iframe
+   *
+   * The function rejects with an error whose code is:
+   * - "deck-cross-origin" if the slideshow cannot be accessed because it is
+   * served from another origin and does not include the deck bridge (or
+   * because the browser shows an error page)
+   * - "deck-not-found" if the server returned an HTTP error
+   * - "deck-unsupported" if the page does not run any supported slide
+   * framework (see "DeckBridge.adapters" in deck-bridge.js)
+   * - "deck-load-failed" if the slide framework did not get ready
+   *
+   * @function
+   * @return {Promise} The promise to get the controlled slideshow (see
+   *  "deck")
+   */
+  var findDeck = function () {
+    var doc = null;
+    try {
+      doc = iframe.contentDocument;
+    }
+    catch (err) {
+      doc = null;
+    }
+    if (!doc) {
+      return connectBridgedDeck();
+    }
+
+    return window.DeckBridge.connect(iframe.contentWindow).then(function (slideshow) {
+      if (slideshow) {
+        console.info('controlling ' + slideshow.framework + ' slideshow');
+        return createDirectDeck(slideshow);
+      }
+      return rejectUnsupportedDeck(doc);
+    });
+  };
+
+  /**
+   * Reject a page that does not run any supported slide framework, possibly
+   * because it is an error page returned by the server
+   *
+   * @function
+   * @param {Document} doc The document loaded in the iframe
+   * @return {Promise} A promise rejected with a "deck-not-found" or a
+   *  "deck-unsupported" error
+   */
+  var rejectUnsupportedDeck = function (doc) {
+    var createError = window.PresentationRpc.createError;
+    return fetch(doc.URL, { method: 'HEAD', cache: 'no-store' })
+      .then(function (response) {
+        return response.ok ? null : response.status;
+      }, function () {
+        return null;
+      })
+      .then(function (status) {
+        if (status) {
+          throw createError('deck-not-found', 'The slideshow at "' +
+            slideshowUrl + '" could not be loaded (HTTP ' + status + ')');
+        }
+        throw createError('deck-unsupported', 'The page at "' +
+          slideshowUrl + '" does not run any supported slide framework (' +
+          window.DeckBridge.adapters.map(function (adapter) {
+            return adapter.label;
+          }).join(', ') + ')');
+      });
   };
 
   /**
-   * React to the establishment of a new connection
+   * Stop controlling the current slideshow, if any
+   *
+   * @function
+   */
+  var closeDeck = function () {
+    hidePointer();
+    showAnnotations(null);
+    if (deck) {
+      deck.close();
+      deck = null;
+    }
+  };
+
+  /**
+   * Show the given message on the projected screen instead of the
+   * slideshow, or hide the message
+   *
+   * @function
+   * @param {String} message The message to show, null to hide the message
+   */
+  var showLoadError = function (message) {
+    loadError.querySelector('p').textContent = message || '';
+    loadError.hidden = !message;
+    iframe.hidden = !!message;
+  };
+
+  /**
+   * Laser pointer drawn on a transparent overlay above the slideshow
+   */
+  var laserPointer = document.getElementById('laser-pointer');
+
+  /**
+   * Position of the laser pointer to draw on next animation frame, as
+   * fractions of the width and height of the screen
+   */
+  var pointerPosition = null;
+
+  /**
+   * Whether the laser pointer is already scheduled to be drawn
    */
-  navigator.w3cPresentation.receiver.getConnection().then(function (connection) {
-    presentationConnection = connection;
-    connection.onmessage = function (event) {
-      var params = null;
-      var message = event.data;
-      if (!message || !message.cmd) {
+  var pointerScheduled = false;
+
+  /**
+   * Time after which the laser pointer disappears when it does not move, in
+   * milliseconds, in case the controller never says that the presenter
+   * lifted their finger (e.g. because the connection dropped)
+   */
+  var pointerIdleTimeout = 5000;
+
+  /**
+   * Timer that hides the laser pointer when it does not move
+   */
+  var pointerIdleTimer = null;
+
+  /**
+   * Move the laser pointer to the given position and show it. The pointer
+   * is drawn at most once per animation frame, whatever the rate at which
+   * positions arrive.
+   *
+   * @function
+   * @param {Number} x Horizontal position, between 0 (left) and 1 (right)
+   * @param {Number} y Vertical position, between 0 (top) and 1 (bottom)
+   */
+  var showPointer = function (x, y) {
+    pointerPosition = {
+      x: Math.min(Math.max(x, 0), 1),
+      y: Math.min(Math.max(y, 0), 1)
+    };
+    clearTimeout(pointerIdleTimer);
+    pointerIdleTimer = setTimeout(hidePointer, pointerIdleTimeout);
+    if (pointerScheduled) {
+      return;
+    }
+    pointerScheduled = true;
+    window.requestAnimationFrame(function () {
+      pointerScheduled = false;
+      if (!pointerPosition) {
         return;
       }
-      if (message.cmd === 'open') {
-        console.info('open slideshow at "' + message.url + '"');
-        iframe.src = message.url;
+      laserPointer.style.left = (pointerPosition.x * 100) + '%';
+      laserPointer.style.top = (pointerPosition.y * 100) + '%';
+      laserPointer.hidden = false;
+    });
+  };
+
+  /**
+   * Hide the laser pointer
+   *
+   * @function
+   */
+  var hidePointer = function () {
+    pointerPosition = null;
+    clearTimeout(pointerIdleTimer);
+    laserPointer.hidden = true;
+  };
+
+  /**
+   * Full-screen element that covers the slideshow, e.g. while the
+   * presenter takes questions
+   */
+  var screenCover = document.getElementById('screen-cover');
+
+  /**
+   * Screen that covers the slideshow: "blackout", "whiteout", "pause", or
+   * null when the audience sees the slideshow
+   */
+  var cover = null;
+
+  /**
+   * Message shown on the pause screen while it covers the slideshow, null
+   * otherwise
+   */
+  var coverMessage = null;
+
+  /**
+   * Message shown on the pause screen when the controller does not provide
+   * any, and maximum length of messages
+   */
+  var defaultPauseMessage = 'We\'ll be right back';
+  var maxPauseMessageLength = 200;
+
+  /**
+   * Cover the slideshow with the given screen, or uncover it if that screen
+   * already covers it
+   *
+   * @function
+   * @param {String} type The screen, "blackout", "whiteout" or "pause"
+   * @param {String} message The message shown on the pause screen
+   * @return {String} The screen that now covers the slideshow, null if none
+   */
+  var toggleCover = function (type, message) {
+    cover = (cover === type) ? null : type;
+    console.info(cover ? 'cover slideshow with ' + cover + ' screen' :
+      'uncover slideshow');
+    screenCover.className = cover || '';
+    coverMessage = (cover === 'pause') ?
+      ((message || '').trim().substring(0, maxPauseMessageLength) ||
+        defaultPauseMessage) :
+      null;
+    screenCover.querySelector('p').textContent = coverMessage || '';
+    screenCover.hidden = !cover;
+    return cover;
+  };
+
+  /**
+   * Canvas above the slideshow where annotations of the current slide are
+   * drawn (see annotation-layer.js)
+   */
+  var annotationCanvas = document.getElementById('annotations');
+  var annotationLayer = new window.AnnotationLayer(annotationCanvas);
+
+  /**
+   * Annotations of the slideshow, indexed by slide index. Annotations are
+   * kept until another slideshow is opened, so that they reappear when the
+   * presenter returns to a slide.
+   */
+  var annotations = {};
+
+  /**
+   * URL of the slideshow that annotations belong to
+   */
+  var annotatedUrl = null;
+
+  /**
+   * Index of the slide whose annotations are shown, null when no slide is
+   * shown
+   */
+  var annotatedSlide = null;
+
+  /**
+   * Whether the annotations are already scheduled to be drawn
+   */
+  var annotationsScheduled = false;
+
+  /**
+   * Maximum number of coordinates in a stroke, to keep memory in check
+   */
+  var maxStrokeLength = 10000;
+
+  /**
+   * Draw the annotations of the current slide on next animation frame
+   *
+   * @function
+   */
+  var renderAnnotations = function () {
+    if (annotationsScheduled) {
+      return;
+    }
+    annotationsScheduled = true;
+    window.requestAnimationFrame(function () {
+      annotationsScheduled = false;
+      annotationLayer.render((annotatedSlide !== null) ?
+        annotations[annotatedSlide] : null);
+    });
+  };
+
+  window.addEventListener('resize', function () {
+    annotationLayer.resize();
+    renderAnnotations();
+  });
+
+  /**
+   * Show the annotations of the current slide of the slideshow, dropping
+   * annotations of the previous slideshow if it changed. Annotations are
+   * hidden in overview mode.
+   *
+   * @function
+   * @param {Object} state The state of the slideshow, null when no
+   *  slideshow is shown
+   * @return {Boolean} true when the annotated slide changed
+   */
+  var showAnnotations = function (state) {
+    var slideIndex = state ? state.slideIndex : null;
+    var changed = (slideIndex !== annotatedSlide);
+    if (state && (state.url !== annotatedUrl)) {
+      annotations = {};
+      annotatedUrl = state.url;
+      changed = true;
+    }
+    annotatedSlide = slideIndex;
+    annotationCanvas.hidden = !!(state && state.overview);
+    if (changed) {
+      renderAnnotations();
+    }
+    return changed;
+  };
+
+  /**
+   * Return the annotations of the current slide, in the form sent to the
+   * controllers
+   *
+   * @function
+   * @return {Object} The "slideIndex" of the current slide, null if none,
+   *  and its "strokes"
+   */
+  var getSlideAnnotations = function () {
+    return {
+      slideIndex: annotatedSlide,
+      strokes: (annotatedSlide !== null) ? (annotations[annotatedSlide] || []) : []
+    };
+  };
+
+  /**
+   * Add points to the stroke that the given controller is drawing on the
+   * current slide, starting the stroke if needed, and send them to the
+   * controllers in a "stroke" notification
+   *
+   * @function
+   * @param {Object} controller The controller that draws the stroke
+   * @param {String} strokeId The ID of the stroke for that controller
+   * @param {String} tool The drawing tool
+   * @param {String} color The color of the stroke
+   * @param {Array(Number)} points The points to add
+   */
+  var addStroke = function (controller, strokeId, tool, color, points) {
+    if (!window.AnnotationLayer.isValidStroke(tool, color, points)) {
+      throw window.PresentationRpc.createError('invalid-params',
+        'Invalid stroke, expected a tool among ' +
+        window.AnnotationLayer.tools.join(', ') +
+        ', a "#rrggbb" color and pairs of coordinates between 0 and ' +
+        window.AnnotationLayer.scale);
+    }
+    if (annotatedSlide === null) {
+      throw window.PresentationRpc.createError('no-slideshow',
+        'No slide to annotate');
+    }
+
+    var strokes = annotations[annotatedSlide] || [];
+    annotations[annotatedSlide] = strokes;
+    var stroke = null;
+    strokes.some(function (candidate) {
+      if ((candidate.controllerId === controller.id) &&
+          (candidate.id === strokeId)) {
+        stroke = candidate;
+        return true;
+      }
+      return false;
+    });
+    if (!stroke) {
+      stroke = {
+        id: strokeId,
+        controllerId: controller.id,
+        tool: tool,
+        color: color,
+        points: []
+      };
+      strokes.push(stroke);
+    }
+    if (stroke.points.length + points.length > maxStrokeLength) {
+      throw window.PresentationRpc.createError('invalid-params',
+        'Stroke is too long');
+    }
+    stroke.points = stroke.points.concat(points);
+    renderAnnotations();
+    broadcast({
+      stroke: {
+        slideIndex: annotatedSlide,
+        id: stroke.id,
+        controllerId: stroke.controllerId,
+        tool: stroke.tool,
+        color: stroke.color,
+        points: points
       }
-      else if (!controlledSlidy) {
+    });
+  };
+
+  /**
+   * Report that the slideshow could not be loaded, on the projected screen
+   * and to the controller
+   *
+   * The error replies to the pending "open" command if there is one. The
+   * slideshow may also fail to load without any pending command, e.g. when
+   * someone follows a link in the slideshow from the projector.
+   *
+   * @function
+   * @param {Error} err The error, with a "code"
+   */
+  var reportLoadFailure = function (err) {
+    console.warn('could not load slideshow', err.code, err.message);
+    closeDeck();
+    showLoadError(err.message);
+    if (pendingOpen) {
+      pendingOpen.reject(err);
+      pendingOpen = null;
+    }
+    else {
+      controllers.forEach(function (controller) {
+        controller.rpc.notifyError(err.code, err.message, 'open');
+      });
+    }
+    publishState(true);
+  };
+
+  /**
+   * The "open" command waiting for the slideshow to load, with the
+   * "resolve" and "reject" functions of the promise returned to the
+   * controller
+   */
+  var pendingOpen = null;
+
+  /**
+   * Slideshow for which the list of slides was last sent to the controller
+   */
+  var lastSlidesKey = null;
+
+  /**
+   * Slide for which notes were last sent to the controller
+   */
+  var lastNotesSlide = null;
+
+  /**
+   * Last state sent to the controller, serialized as JSON
+   */
+  var lastPublishedState = null;
+
+  /**
+   * Screen that covers the slideshow last sent to the controllers
+   */
+  var lastPublishedCover = null;
+
+  /**
+   * Whether a state update is already scheduled
+   */
+  var publishScheduled = false;
+
+  /**
+   * Slide and incremental step for which the mirror of the slideshow was
+   * last sent to the controllers
+   */
+  var lastMirrorStep = null;
+
+  /**
+   * Last mirror of the slideshow sent to the controllers, serialized as
+   * JSON
+   */
+  var lastMirror = null;
+
+  /**
+   * Interval at which the mirror of the slideshow is refreshed, in
+   * milliseconds, to catch changes that do not come with a change of slide
+   * or step (animations, videos, slideshows that update themselves)
+   */
+  var mirrorInterval = 5000;
+
+  /**
+   * Complete the given snapshot of the slideshow with the URL of the
+   * slideshow, which the slideshow itself does not know about (its own URL
+   * changes as slide frameworks update the fragment), and with the screen
+   * that covers the slideshow, if any ("cover"), along with the message of
+   * the pause screen ("coverMessage")
+   *
+   * @function
+   * @param {Object} snapshot The snapshot returned by the controlled
+   *  slideshow
+   * @return {Object} The same snapshot
+   */
+  var completeSnapshot = function (snapshot) {
+    snapshot.state.url = slideshowUrl;
+    snapshot.state.cover = cover;
+    snapshot.state.coverMessage = coverMessage;
+    return snapshot;
+  };
+
+  /**
+   * Send the given message to all connected controllers. Controllers whose
+   * connection is gone (e.g. because the remote closed its window) are
+   * dropped once the message went to the others.
+   *
+   * @function
+   * @param {Object} message The message to send
+   */
+  var broadcast = function (message) {
+    controllers.filter(function (controller) {
+      return !controller.rpc.notify(message);
+    }).forEach(removeController);
+  };
+
+  /**
+   * Send the given snapshot of the slideshow to the controllers, unless it
+   * has not changed since last time
+   *
+   * @function
+   * @param {Object} snapshot The snapshot, with the "state" of the
+   *  slideshow, the "notes" of the current slide and the titles of the
+   *  "slides", all null when no slideshow is loaded
+   * @param {Boolean} force Send the snapshot even if it has not changed
+   */
+  var publishSnapshot = function (snapshot, force) {
+    var slideChanged = showAnnotations(snapshot.state);
+    if (controllers.length === 0) {
+      return;
+    }
+
+    // The slideshow may be covered while no slideshow is loaded, when the
+    // state is null
+    if (force || (cover !== lastPublishedCover)) {
+      lastPublishedCover = cover;
+      broadcast({ cover: cover });
+    }
+    var state = snapshot.state;
+    var slideKey = state ? state.url + '#' + state.slideIndex : null;
+    var slidesKey = state ? state.url + '#' + state.slideCount : null;
+    var serialized = JSON.stringify(state);
+    if (!force && (serialized === lastPublishedState)) {
+      return;
+    }
+    lastPublishedState = serialized;
+    broadcast({ state: state });
+
+    // The list of slide titles only changes with the slideshow
+    if (force || (slidesKey !== lastSlidesKey)) {
+      lastSlidesKey = slidesKey;
+      broadcast({ slides: snapshot.slides });
+    }
+
+    // Notes only change with the current slide
+    if (force || (slideKey !== lastNotesSlide)) {
+      lastNotesSlide = slideKey;
+      broadcast({ notes: snapshot.notes });
+    }
+
+    // The mirror changes with the current slide and incremental step
+    var stepKey = state ? slideKey + '#' + state.step : null;
+    if (force || (stepKey !== lastMirrorStep)) {
+      lastMirrorStep = stepKey;
+      publishMirror(force);
+    }
+
+    // Annotations change with the current slide, and get updated stroke by
+    // stroke in between
+    if (force || slideChanged) {
+      broadcast({ annotations: getSlideAnnotations() });
+    }
+  };
+
+  /**
+   * Send a copy of the current and upcoming slides to the controllers, so
+   * that presenters see what the audience sees, unless it has not changed
+   * since last time
+   *
+   * @function
+   * @param {Boolean} force Send the copy even if it has not changed
+   */
+  var publishMirror = function (force) {
+    if (controllers.length === 0) {
+      return;
+    }
+    var mirror = deck ? deck.mirror() : Promise.resolve(null);
+    mirror.then(function (mirror) {
+      var serialized = JSON.stringify(mirror);
+      if (!force && (serialized === lastMirror)) {
         return;
       }
-      else {
-        // Send command to controlled Slidy instance
-        params = message.params || [];
-        controlledSlidy[message.cmd].apply(controlledSlidy, params);
+      lastMirror = serialized;
+      broadcast({ mirror: mirror });
+    }, function (err) {
+      console.warn('could not mirror slideshow', err);
+    });
+  };
+
+  setInterval(function () {
+    publishMirror(false);
+  }, mirrorInterval);
+
+  /**
+   * Send the current state of the slideshow to the controllers, unless it
+   * has not changed since last time
+   *
+   * @function
+   * @param {Boolean} force Send the state even if it has not changed
+   */
+  var publishState = function (force) {
+    publishScheduled = false;
+    if (controllers.length === 0) {
+      return;
+    }
+    var snapshot = deck ?
+      deck.snapshot().then(completeSnapshot) :
+      Promise.resolve({ state: null, notes: null, slides: null });
+    snapshot.then(function (snapshot) {
+      publishSnapshot(snapshot, force);
+    }, function (err) {
+      console.warn('could not compute slideshow state', err);
+    });
+  };
+
+  /**
+   * Publish the state of the slideshow once the current task is over, to
+   * let the slide framework update itself first
+   *
+   * @function
+   */
+  var schedulePublishState = function () {
+    if (publishScheduled) {
+      return;
+    }
+    publishScheduled = true;
+    setTimeout(function () {
+      publishState(false);
+    }, 0);
+  };
+
+  /**
+   * Build the registry entry of a command that gets passed on to the
+   * controlled slideshow
+   *
+   * @function
+   * @param {String} name The name of the framework-neutral command
+   * @param {Array(Object)} params The parameters schema of the command
+   * @return {Object} The registry entry
+   */
+  var deckCommand = function (name, params) {
+    return {
+      params: params || [],
+      requiresSlideshow: true,
+      requiresControl: true,
+      handler: function (controller) {
+        return deck.run(name, Array.prototype.slice.call(arguments, 1))
+          .then(function (snapshot) {
+            completeSnapshot(snapshot);
+            publishSnapshot(snapshot, false);
+            return snapshot.state;
+          });
+      }
+    };
+  };
+
+  /**
+   * Schema of the optional "incremental" parameter of navigation commands
+   */
+  var incrementalParam = { name: 'incremental', type: 'boolean', optional: true };
+
+  /**
+   * Schema of the parameter of the "goto" command
+   */
+  var slideIndexParam = { name: 'slideIndex', type: 'integer' };
+
+  /**
+   * Schema of the optional "focus" parameter of the "hide_toc" command
+   */
+  var focusParam = { name: 'focus', type: 'boolean', optional: true };
+
+  /**
+   * Registry of commands that controllers may send, indexed by name.
+   *
+   * Each entry lists the parameters that the command accepts in the "params"
+   * array of the message, in order (with a "name", a "type" among "boolean",
+   * "number", "integer", "string", "url" and "array", and an "optional"
+   * flag), whether the command needs a slideshow to be loaded, whether only
+   * the controller in control may send it, and the handler that runs the
+   * command with the controller that sent it and these parameters. The
+   * handler returns the result sent back to the controller, or a Promise
+   * that resolves with it. Slideshow commands return the state of the
+   * slideshow once the command has run. Commands that do not affect the
+   * slideshow, such as moving the laser pointer, are flagged with
+   * "keepsState" so that the state of the slideshow is not recomputed after
+   * them.
+   *
+   * Only one controller is in control at a time (see "controlHolder"). The
+   * others may request control ("request_control"), which the controller in
+   * control may grant ("grant_control") or deny ("deny_control"), or give
+   * up control ("release_control") to the first controller that requested
+   * it. Controllers may also set the name under which they appear on other
+   * controllers ("set_name").
+   *
+   * The controller in control may also cover the slideshow with a black,
+   * white or pause screen ("blackout", "whiteout", "pause"), sending the
+   * same command again uncovers it. These commands work even when no
+   * slideshow is loaded, e.g. while it loads or when it failed to load.
+   * Controllers receive a "cover" notification with the screen that covers
+   * the slideshow whenever it changes, also reported in the "cover"
+   * property of the state of the slideshow. The controller in control may
+   * also point at the slideshow ("pointer", "hide_pointer") and annotate
+   * the current slide ("stroke", "clear_annotations"). Annotations are
+   * sent to controllers in an "annotations" notification with the strokes
+   * of the current slide when it changes, and in a "stroke" notification
+   * with new points of a stroke in between. Any controller may retrieve the
+   * annotations of all slides ("get_annotations"), e.g. to export them at
+   * the end of the talk.
+   *
+   * Slideshow commands are framework-neutral (see "DeckBridge.commands" in
+   * deck-bridge.js). Commands named after Slidy functions are kept as
+   * aliases for remotes that still use them. Slidy's "fold" and "unfold" are
+   * not exposed as they take DOM elements that cannot be sent over the
+   * connection.
+   */
+  var commands = {
+    open: {
+      params: [{ name: 'url', type: 'url' }],
+      requiresSlideshow: false,
+      requiresControl: false,
+      handler: function (controller, url) {
+        // Other remotes join the slideshow that is already running
+        if (controller !== controlHolder) {
+          if (deck && (url === slideshowUrl)) {
+            return deck.snapshot().then(function (snapshot) {
+              return completeSnapshot(snapshot).state;
+            });
+          }
+          throw createNotInControlError();
+        }
+        console.info('open slideshow at "' + url + '"');
+        if (pendingOpen) {
+          pendingOpen.reject(new Error('Superseded by slideshow at "' +
+            url + '"'));
+        }
+        closeDeck();
+        loadCount += 1;
+        slideshowUrl = url;
+        showLoadError(null);
+        clearTimeout(loadTimer);
+        return new Promise(function (resolve, reject) {
+          pendingOpen = { resolve: resolve, reject: reject };
+          loadTimer = setTimeout(function () {
+            // Ignore the slide framework if it gets ready afterwards
+            loadCount += 1;
+            reportLoadFailure(window.PresentationRpc.createError(
+              'deck-load-failed', 'The slideshow at "' + url +
+              '" did not load in time'));
+          }, loadTimeout);
+          iframe.src = url;
+        }).then(function () {
+          return deck.snapshot();
+        }).then(function (snapshot) {
+          return completeSnapshot(snapshot).state;
+        });
+      }
+    },
+    next: deckCommand('next', [incrementalParam]),
+    previous: deckCommand('previous', [incrementalParam]),
+    first: deckCommand('first'),
+    last: deckCommand('last'),
+    goto: deckCommand('goto', [slideIndexParam]),
+    smaller: deckCommand('smaller'),
+    bigger: deckCommand('bigger'),
+    toggle_toolbar: deckCommand('toggle_toolbar'),
+    toggle_overview: deckCommand('toggle_overview'),
+    toggle_toc: deckCommand('toggle_toc'),
+    hide_toc: deckCommand('hide_toc', [focusParam]),
+    pointer: {
+      params: [
+        { name: 'x', type: 'number' },
+        { name: 'y', type: 'number' }
+      ],
+      requiresSlideshow: true,
+      requiresControl: true,
+      keepsState: true,
+      handler: function (controller, x, y) {
+        showPointer(x, y);
+      }
+    },
+    blackout: {
+      params: [],
+      requiresSlideshow: false,
+      requiresControl: true,
+      handler: function (controller) {
+        return toggleCover('blackout');
+      }
+    },
+    whiteout: {
+      params: [],
+      requiresSlideshow: false,
+      requiresControl: true,
+      handler: function (controller) {
+        return toggleCover('whiteout');
       }
+    },
+    pause: {
+      params: [{ name: 'message', type: 'string', optional: true }],
+      requiresSlideshow: false,
+      requiresControl: true,
+      handler: function (controller, message) {
+        return toggleCover('pause', message);
+      }
+    },
+    stroke: {
+      params: [
+        { name: 'strokeId', type: 'string' },
+        { name: 'tool', type: 'string' },
+        { name: 'color', type: 'string' },
+        { name: 'points', type: 'array' }
+      ],
+      requiresSlideshow: true,
+      requiresControl: true,
+      keepsState: true,
+      handler: addStroke
+    },
+    clear_annotations: {
+      params: [{ name: 'all', type: 'boolean', optional: true }],
+      requiresSlideshow: true,
+      requiresControl: true,
+      keepsState: true,
+      handler: function (controller, all) {
+        if (all) {
+          annotations = {};
+        }
+        else if (annotatedSlide !== null) {
+          delete annotations[annotatedSlide];
+        }
+        renderAnnotations();
+        broadcast({ annotations: getSlideAnnotations() });
+      }
+    },
+    get_annotations: {
+      params: [],
+      requiresSlideshow: false,
+      requiresControl: false,
+      keepsState: true,
+      handler: function (controller) {
+        return {
+          url: annotatedUrl,
+          slides: Object.keys(annotations).filter(function (slideIndex) {
+            return annotations[slideIndex].length > 0;
+          }).map(function (slideIndex) {
+            return {
+              slideIndex: parseInt(slideIndex, 10),
+              strokes: annotations[slideIndex]
+            };
+          })
+        };
+      }
+    },
+    hide_pointer: {
+      params: [],
+      requiresSlideshow: false,
+      requiresControl: true,
+      keepsState: true,
+      handler: function (controller) {
+        hidePointer();
+      }
+    },
+    request_control: {
+      params: [],
+      requiresSlideshow: false,
+      requiresControl: false,
+      handler: function (controller) {
+        if (!controlHolder) {
+          grantControl(controller);
+        }
+        else if ((controller !== controlHolder) &&
+            (controlRequests.indexOf(controller) === -1)) {
+          console.info(controller.name + ' requests control');
+          controlRequests.push(controller);
+          publishControl();
+        }
+        return controller === controlHolder;
+      }
+    },
+    release_control: {
+      params: [],
+      requiresSlideshow: false,
+      requiresControl: true,
+      handler: function (controller) {
+        grantControl(controlRequests[0] || null);
+      }
+    },
+    grant_control: {
+      params: [{ name: 'controllerId', type: 'string' }],
+      requiresSlideshow: false,
+      requiresControl: true,
+      handler: function (controller, controllerId) {
+        grantControl(findController(controllerId));
+      }
+    },
+    deny_control: {
+      params: [{ name: 'controllerId', type: 'string' }],
+      requiresSlideshow: false,
+      requiresControl: true,
+      handler: function (controller, controllerId) {
+        var requester = findController(controllerId);
+        controlRequests = controlRequests.filter(function (candidate) {
+          return candidate !== requester;
+        });
+        publishControl();
+      }
+    },
+    set_name: {
+      params: [{ name: 'name', type: 'string' }],
+      requiresSlideshow: false,
+      requiresControl: false,
+      handler: function (controller, name) {
+        name = name.trim().substring(0, maxNameLength);
+        if (name) {
+          controller.name = name;
+          publishControl();
+        }
+      }
+    }
+  };
+
+  commands.next_slide = commands.next;
+  commands.previous_slide = commands.previous;
+  commands.first_slide = commands.first;
+  commands.last_slide = commands.last;
+  commands.goto_slide = commands.goto;
+  commands.toggle_view = commands.toggle_overview;
+  commands.toggle_table_of_contents = commands.toggle_toc;
+  commands.hide_table_of_contents = commands.hide_toc;
+
+  /**
+   * Check the given parameter value against its schema
+   *
+   * @function
+   * @param {Object} schema The parameter schema
+   * @param {*} value The parameter value
+   * @return {Boolean} true if the value is valid
+   */
+  var isValidParam = function (schema, value) {
+    if (value === undefined) {
+      return !!schema.optional;
+    }
+    if (schema.type === 'url') {
+      try {
+        return (typeof value === 'string') &&
+          !!new URL(value).protocol.match(/^https?:$/);
+      }
+      catch (err) {
+        return false;
+      }
+    }
+    if (schema.type === 'array') {
+      return Array.isArray(value);
+    }
+    if (schema.type === 'integer') {
+      return (typeof value === 'number') && (value % 1 === 0);
+    }
+    return typeof value === schema.type;
+  };
+
+  /**
+   * Run a request received from the controller
+   *
+   * Rejected requests are reported to the controller with one of the error
+   * codes "unknown-command", "invalid-params", "no-slideshow",
+   * "not-in-control" (when another controller is in control),
+   * "unsupported-command" (when the slide framework does not support the
+   * command) and "command-failed". When "open" fails, the error code tells
+   * why the slideshow could not be loaded: see "findDeck" for the codes it
+   * uses, and "deck-load-failed" when the slideshow does not load at all.
+   *
+   * @function
+   * @param {Object} controller The controller that sent the request
+   * @param {Object} request The request, with a "cmd" and "params"
+   * @return {Promise} The promise to get the result of the command
+   */
+  var handleRequest = function (controller, request) {
+    var createError = window.PresentationRpc.createError;
+    var command = commands.hasOwnProperty(request.cmd) ? commands[request.cmd] : null;
+    if (!command) {
+      throw createError('unknown-command', 'Unknown command "' + request.cmd + '"');
+    }
+
+    var params = (request.params === undefined) ? [] : request.params;
+    if (!Array.isArray(params) || (params.length > command.params.length) ||
+        !command.params.every(function (schema, idx) {
+          return isValidParam(schema, params[idx]);
+        })) {
+      throw createError('invalid-params', 'Invalid parameters for command "' +
+        request.cmd + '", expected (' + command.params.map(function (schema) {
+          return schema.name + ': ' + schema.type + (schema.optional ? '?' : '');
+        }).join(', ') + ')');
+    }
+
+    if (command.requiresControl && (controller !== controlHolder)) {
+      throw createNotInControlError();
+    }
+
+    if (command.requiresSlideshow && !deck) {
+      throw createError('no-slideshow', 'No slideshow loaded');
+    }
+
+    return new Promise(function (resolve) {
+      resolve(command.handler.apply(null, [controller].concat(params)));
+    }).then(function (result) {
+      if (!command.keepsState) {
+        schedulePublishState();
+      }
+      return result;
+    }, function (err) {
+      console.warn('command "' + request.cmd + '" failed', err);
+      if (err.code) {
+        throw err;
+      }
+      throw createError('command-failed', 'Command "' + request.cmd +
+        '" failed: ' + err.message);
+    });
+  };
+
+  /**
+   * Number of controllers that connected so far, used to generate their ID
+   * and default name
+   */
+  var controllerCount = 0;
+
+  /**
+   * Maximum length of the name of a controller
+   */
+  var maxNameLength = 40;
+
+  /**
+   * The controller in control of the slideshow, null if no controller is in
+   * control. The first controller to connect or to request control when no
+   * controller is in control gets it.
+   */
+  var controlHolder = null;
+
+  /**
+   * Controllers that requested control, in order of request
+   */
+  var controlRequests = [];
+
+  /**
+   * Find the connected controller with the given ID
+   *
+   * @function
+   * @param {String} controllerId The ID of the controller
+   * @return {Object} The controller
+   */
+  var findController = function (controllerId) {
+    var found = null;
+    controllers.some(function (controller) {
+      if (controller.id === controllerId) {
+        found = controller;
+        return true;
+      }
+      return false;
+    });
+    if (!found) {
+      throw window.PresentationRpc.createError('invalid-params',
+        'No controller with ID "' + controllerId + '"');
+    }
+    return found;
+  };
+
+  /**
+   * Create the error returned to controllers that send a command that only
+   * the controller in control may send
+   *
+   * @function
+   * @return {Error} The error, with a "not-in-control" code
+   */
+  var createNotInControlError = function () {
+    return window.PresentationRpc.createError('not-in-control',
+      controlHolder ?
+        controlHolder.name + ' is in control of the slideshow' :
+        'Request control of the slideshow first');
+  };
+
+  /**
+   * Send who is in control to the controllers. Each controller receives a
+   * "control" notification with its own ID ("you"), the ID and name of the
+   * controller in control ("controllerId" and "controllerName", null if
+   * none), the connected "controllers" and the pending "requests", each
+   * with an "id" and "name". Controllers whose connection is gone are
+   * dropped (see "broadcast").
+   *
+   * @function
+   */
+  var publishControl = function () {
+    var describe = function (controller) {
+      return { id: controller.id, name: controller.name };
+    };
+    controllers.filter(function (controller) {
+      return !controller.rpc.notify({
+        control: {
+          you: controller.id,
+          controllerId: controlHolder ? controlHolder.id : null,
+          controllerName: controlHolder ? controlHolder.name : null,
+          controllers: controllers.map(describe),
+          requests: controlRequests.map(describe)
+        }
+      });
+    }).forEach(removeController);
+  };
+
+  /**
+   * Give control to the given controller
+   *
+   * @function
+   * @param {Object} controller The controller, null to leave the slideshow
+   *  without controller in control
+   */
+  var grantControl = function (controller) {
+    // The laser pointer belongs to the controller that was in control
+    if (controller !== controlHolder) {
+      hidePointer();
+    }
+    controlHolder = controller;
+    controlRequests = controlRequests.filter(function (requester) {
+      return requester !== controller;
+    });
+    console.info(controller ?
+      controller.name + ' is in control' :
+      'no controller in control');
+    publishControl();
+  };
+
+  /**
+   * Stop talking to the given controller, typically because its
+   * connection is gone. Control goes to the first controller that
+   * requested it, if the controller was in control.
+   *
+   * @function
+   * @param {Object} controller The controller
+   */
+  var removeController = function (controller) {
+    if (controllers.indexOf(controller) === -1) {
+      return;
+    }
+    console.info(controller.name + ' disconnected');
+    controller.rpc.close();
+    controllers = controllers.filter(function (candidate) {
+      return candidate !== controller;
+    });
+    controlRequests = controlRequests.filter(function (requester) {
+      return requester !== controller;
+    });
+    if (controller === controlHolder) {
+      grantControl(controlRequests[0] || null);
+    }
+    else {
+      publishControl();
+    }
+  };
+
+  /**
+   * Talk to the controller at the other end of the given presentation
+   * connection from now on.
+   *
+   * Several controllers may control the slide show, e.g. when co-presenters
+   * share the same screen. A controller also reconnects to the slide show
+   * after a reload, in which case its previous connection goes away. The
+   * slide show keeps running in the meantime.
+   */
+  var useConnection = function (connection) {
+    if (controllers.some(function (controller) {
+      return controller.connection === connection;
+    }) || (connection.state !== 'connected')) {
+      return;
+    }
+    controllerCount += 1;
+    var controller = {
+      id: 'remote-' + controllerCount,
+      name: 'Remote ' + controllerCount,
+      connection: connection,
+      rpc: new window.PresentationRpc(connection)
+    };
+    controller.rpc.onrequest = function (request) {
+      return handleRequest(controller, request);
+    };
+
+    // Reject messages that are not requests
+    controller.rpc.onnotification = function () {
+      console.warn('reject invalid message from ' + controller.name);
+      controller.rpc.notifyError('invalid-message',
+        'Message must be an object with a "cmd" property');
     };
+
+    connection.addEventListener('statechange', function () {
+      if (connection.state !== 'connected') {
+        removeController(controller);
+      }
+    });
+
+    console.info(controller.name + ' connected');
+    controllers.push(controller);
+    if (!controlHolder) {
+      grantControl(controller);
+    }
+    else {
+      publishControl();
+    }
+
+    // Tell the new controller where the slideshow is
+    publishState(true);
+  };
+
+  /**
+   * React to the establishment of new connections
+   */
+  navigator.w3cPresentation.receiver.getConnections().then(function (connections) {
+    connections.forEach(useConnection);
+  });
+  navigator.w3cPresentation.receiver.addEventListener('connection', function (event) {
+    useConnection(event.connection);
   });
-};
\ No newline at end of file
+};
@@ -0,0 +1,637 @@
+/**
+ * @fileOverview WebSocket relay server for the WebSocket presentation
+ * mechanism (see websocket-presentation-mechanism.js).
+ *
+ * Receiving pages register with the relay as named displays, controlling
+ * pages subscribe to the list of displays and exchange messages with the
+ * display they connect to through the relay.
+ *
+ * The server only uses core Node.js modules, and implements the subset of
+ * the WebSocket protocol [1] that browsers need (text messages, ping/pong
+ * and close frames).
+ *
+ * Usage:
+ *  node relay-server.js [port] [origin...]
+ * The port defaults to 8080. The origins are those of the pages allowed to
+ * connect to the relay, e.g. "http://192.168.1.10:8000". The relay does
+ * not authenticate clients otherwise, and rejects WebSocket connections
+ * from other origins (and without origin) so that Web pages that the
+ * presenter happens to visit cannot take control of the displays. Then
+ * load the demo with e.g.:
+ *  index.html?relay=ws://192.168.1.10:8080
+ *  receiver.html?relay=ws://192.168.1.10:8080&display=Main%20projector
+ *
+ * Note that the origin check only protects against Web pages: browsers
+ * always send the origin of the page, but other clients may send any
+ * origin they like. Only run the relay on a network that you trust.
+ *
+ * References:
+ * [1] https://tools.ietf.org/html/rfc6455
+ */
+var http = require('http');
+var crypto = require('crypto');
+
+
+/**
+ * GUID that the WebSocket protocol uses to compute the handshake response
+ */
+var WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+
+/**
+ * Maximum size of a message, in bytes. Larger messages close the socket.
+ */
+var MAX_MESSAGE_SIZE = 1024 * 1024;
+
+
+/**
+ * Interval between two pings, in milliseconds. Sockets that did not answer
+ * the previous ping are considered dead.
+ */
+var PING_INTERVAL = 30000;
+
+
+/**
+ * Origins of the pages allowed to connect to the relay, set from the
+ * command line
+ *
+ * @type {Array(String)}
+ */
+var allowedOrigins = [];
+
+
+/**
+ * Clients connected to the relay, indexed by ID
+ *
+ * @type {Object}
+ */
+var clients = {};
+
+
+/**
+ * Counter used to assign IDs to clients
+ */
+var clientCounter = 0;
+
+
+
+
+/**********************************************************************
+WebSocket framing
+**********************************************************************/
+
+/**
+ * Encode a frame to send to a client. Frames sent by a server are not
+ * masked.
+ *
+ * @function
+ * @param {Number} opcode The frame opcode
+ * @param {Buffer} payload The frame payload
+ * @return {Buffer} The encoded frame
+ */
+var encodeFrame = function (opcode, payload) {
+  var header = null;
+  if (payload.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = payload.length;
+  }
+  else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  }
+  else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeUInt32BE(0, 2);
+    header.writeUInt32BE(payload.length, 6);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+};
+
+
+/**
+ * Parse the first frame in the given buffer
+ *
+ * @function
+ * @param {Buffer} buffer The data received so far
+ * @return {Object} The frame ("fin", "opcode", "payload" and "length" of the
+ * frame in the buffer), null if the buffer does not contain a complete frame
+ * yet
+ * @throws {Error} If the frame is not masked or exceeds the maximum size
+ */
+var decodeFrame = function (buffer) {
+  if (buffer.length < 2) {
+    return null;
+  }
+  var fin = !!(buffer[0] & 0x80);
+  var opcode = buffer[0] & 0x0f;
+  var masked = !!(buffer[1] & 0x80);
+  var length = buffer[1] & 0x7f;
+  var offset = 2;
+
+  if (!masked) {
+    throw new Error('client frames must be masked');
+  }
+  if (length === 126) {
+    if (buffer.length < 4) {
+      return null;
+    }
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  }
+  else if (length === 127) {
+    if (buffer.length < 10) {
+      return null;
+    }
+    if (buffer.readUInt32BE(2) !== 0) {
+      throw new Error('frame too large');
+    }
+    length = buffer.readUInt32BE(6);
+    offset = 10;
+  }
+  if (length > MAX_MESSAGE_SIZE) {
+    throw new Error('frame too large');
+  }
+  if (buffer.length < offset + 4 + length) {
+    return null;
+  }
+
+  var mask = buffer.slice(offset, offset + 4);
+  var payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+  for (var i = 0; i < payload.length; i++) {
+    payload[i] ^= mask[i % 4];
+  }
+  return {
+    fin: fin,
+    opcode: opcode,
+    payload: payload,
+    length: offset + 4 + length
+  };
+};
+
+
+
+
+/**********************************************************************
+Client
+**********************************************************************/
+
+/**
+ * A client connected to the relay through a WebSocket
+ *
+ * @constructor
+ * @param {net.Socket} socket The underlying socket, once the WebSocket
+ * handshake is over
+ */
+var Client = function (socket) {
+  var that = this;
+  var buffer = Buffer.alloc(0);
+  var fragments = [];
+  var fragmentsLength = 0;
+
+  /**
+   * The ID of the client
+   *
+   * @type {String}
+   */
+  this.id = 'c' + (++clientCounter);
+
+  /**
+   * Either "display" once the client registered as a display, or
+   * "controller"
+   *
+   * @type {String}
+   */
+  this.role = 'controller';
+
+  /**
+   * Name and URL of the display, for displays
+   */
+  this.name = null;
+  this.url = null;
+
+  /**
+   * Whether the client subscribed to the list of displays
+   *
+   * @type {Boolean}
+   */
+  this.subscribed = false;
+
+  /**
+   * IDs of the clients connected to this one
+   *
+   * @type {Array(String)}
+   */
+  this.peers = [];
+
+  /**
+   * Whether the client answered the last ping
+   *
+   * @type {Boolean}
+   */
+  this.alive = true;
+
+  /**
+   * Function called with each message received from the client
+   *
+   * @type {function}
+   */
+  this.onmessage = null;
+
+  /**
+   * Function called when the socket gets closed
+   *
+   * @type {function}
+   */
+  this.onclose = null;
+
+
+  /**
+   * Send a message to the client
+   *
+   * @function
+   * @param {Object} message The message to send, serialized as JSON
+   */
+  this.send = function (message) {
+    if (socket.destroyed) {
+      return;
+    }
+    socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+  };
+
+
+  /**
+   * Send a ping to the client
+   *
+   * @function
+   */
+  this.ping = function () {
+    if (!socket.destroyed) {
+      socket.write(encodeFrame(0x9, Buffer.alloc(0)));
+    }
+  };
+
+
+  /**
+   * Close the connection with the client
+   *
+   * @function
+   * @param {Number} code The WebSocket close code
+   */
+  this.close = function (code) {
+    if (socket.destroyed) {
+      return;
+    }
+    var payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code || 1000, 0);
+    socket.end(encodeFrame(0x8, payload));
+  };
+
+
+  var handleFrame = function (frame) {
+    if (frame.opcode === 0x8) {
+      that.close(1000);
+    }
+    else if (frame.opcode === 0x9) {
+      socket.write(encodeFrame(0xA, frame.payload));
+    }
+    else if (frame.opcode === 0xA) {
+      that.alive = true;
+    }
+    else if ((frame.opcode === 0x0) || (frame.opcode === 0x1)) {
+      fragments.push(frame.payload);
+      fragmentsLength += frame.payload.length;
+      if (fragmentsLength > MAX_MESSAGE_SIZE) {
+        throw new Error('message too large');
+      }
+      if (!frame.fin) {
+        return;
+      }
+      var text = Buffer.concat(fragments).toString('utf8');
+      fragments = [];
+      fragmentsLength = 0;
+      var message = null;
+      try {
+        message = JSON.parse(text);
+      }
+      catch (err) {
+        console.warn('[' + that.id + '] ignore invalid message', text);
+        return;
+      }
+      if (that.onmessage) {
+        that.onmessage(message);
+      }
+    }
+    else {
+      // Binary messages are not used by the mechanism
+      throw new Error('unsupported opcode ' + frame.opcode);
+    }
+  };
+
+  socket.on('data', function (data) {
+    buffer = Buffer.concat([buffer, data]);
+    try {
+      var frame = decodeFrame(buffer);
+      while (frame) {
+        buffer = buffer.slice(frame.length);
+        handleFrame(frame);
+        frame = decodeFrame(buffer);
+      }
+    }
+    catch (err) {
+      console.warn('[' + that.id + '] protocol error', err.message);
+      that.close(1002);
+      socket.destroy();
+    }
+  });
+
+  socket.on('close', function () {
+    if (that.onclose) {
+      that.onclose();
+    }
+  });
+
+  socket.on('error', function (err) {
+    console.warn('[' + that.id + '] socket error', err.message);
+  });
+};
+
+
+
+
+/**********************************************************************
+Relay logic
+**********************************************************************/
+
+/**
+ * Send the list of registered displays to all clients that subscribed to it
+ *
+ * @function
+ */
+var broadcastDisplays = function () {
+  var displays = Object.keys(clients)
+    .map(function (id) {
+      return clients[id];
+    })
+    .filter(function (client) {
+      return client.role === 'display';
+    })
+    .map(function (client) {
+      return {
+        id: client.id,
+        name: client.name,
+        url: client.url
+      };
+    });
+  Object.keys(clients).forEach(function (id) {
+    if (clients[id].subscribed) {
+      clients[id].send({ type: 'displays', displays: displays });
+    }
+  });
+};
+
+
+/**
+ * Link two clients so that they may exchange messages
+ *
+ * @function
+ * @param {Client} a A client
+ * @param {Client} b Another client
+ */
+var link = function (a, b) {
+  if (a.peers.indexOf(b.id) === -1) {
+    a.peers.push(b.id);
+  }
+  if (b.peers.indexOf(a.id) === -1) {
+    b.peers.push(a.id);
+  }
+};
+
+
+/**
+ * Unlink two clients
+ *
+ * @function
+ * @param {Client} a A client
+ * @param {Client} b Another client
+ */
+var unlink = function (a, b) {
+  a.peers = a.peers.filter(function (id) {
+    return id !== b.id;
+  });
+  b.peers = b.peers.filter(function (id) {
+    return id !== a.id;
+  });
+};
+
+
+/**
+ * Handle a message received from a client
+ *
+ * @function
+ * @param {Client} client The client that sent the message
+ * @param {Object} message The received message
+ */
+var handleMessage = function (client, message) {
+  var target = message.to ? clients[message.to] : null;
+
+  // Tell the client when the target of the message does not exist
+  if (message.to && !target) {
+    client.send({
+      type: 'close',
+      from: message.to,
+      reason: 'error',
+      message: 'Unknown peer ' + message.to
+    });
+    return;
+  }
+
+  switch (message.type) {
+  case 'register':
+    console.info('[' + client.id + '] register display "' + message.name +
+      '" for ' + message.url);
+    client.role = 'display';
+    client.name = String(message.name || client.id);
+    client.url = String(message.url || '');
+    broadcastDisplays();
+    break;
+
+  case 'subscribe':
+    client.subscribed = true;
+    broadcastDisplays();
+    break;
+
+  case 'connect':
+    if (target.role !== 'display') {
+      client.send({
+        type: 'close',
+        from: target.id,
+        reason: 'error',
+        message: 'Peer ' + target.id + ' is not a display'
+      });
+      return;
+    }
+    console.info('[' + client.id + '] connect to display ' + target.id);
+    link(client, target);
+    target.send({ type: 'connect', from: client.id });
+    break;
+
+  case 'connected':
+  case 'message':
+    if (client.peers.indexOf(target.id) === -1) {
+      console.warn('[' + client.id + '] not connected to ' + target.id);
+      return;
+    }
+    message.from = client.id;
+    delete message.to;
+    target.send(message);
+    break;
+
+  case 'close':
+    if (client.peers.indexOf(target.id) === -1) {
+      return;
+    }
+    console.info('[' + client.id + '] close connection with ' + target.id);
+    unlink(client, target);
+    message.from = client.id;
+    delete message.to;
+    target.send(message);
+    break;
+
+  case 'terminate':
+    if (client.peers.indexOf(target.id) === -1) {
+      return;
+    }
+    console.info('[' + client.id + '] terminate presentation on ' + target.id);
+    target.send({ type: 'terminate', from: client.id });
+    break;
+
+  case 'terminated':
+    // Sent by a display, tell all its controllers
+    console.info('[' + client.id + '] presentation terminated');
+    client.peers.slice().forEach(function (id) {
+      var peer = clients[id];
+      if (peer) {
+        unlink(client, peer);
+        peer.send({ type: 'terminated', from: client.id });
+      }
+    });
+    break;
+
+  default:
+    console.warn('[' + client.id + '] unknown message type', message.type);
+  }
+};
+
+
+/**
+ * Clean up after a client disconnected, telling its peers
+ *
+ * @function
+ * @param {Client} client The client that disconnected
+ */
+var handleClose = function (client) {
+  console.info('[' + client.id + '] disconnected');
+  delete clients[client.id];
+  client.peers.slice().forEach(function (id) {
+    var peer = clients[id];
+    if (!peer) {
+      return;
+    }
+    unlink(client, peer);
+    if (client.role === 'display') {
+      // The receiving page is gone, and the presentation with it
+      peer.send({ type: 'terminated', from: client.id });
+    }
+    else {
+      peer.send({
+        type: 'close',
+        from: client.id,
+        reason: 'wentaway',
+        message: 'Controller disconnected from relay'
+      });
+    }
+  });
+  if (client.role === 'display') {
+    broadcastDisplays();
+  }
+};
+
+
+
+
+/**********************************************************************
+HTTP server
+**********************************************************************/
+
+var server = http.createServer(function (req, res) {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('Presentation API relay server, connect through WebSocket\n');
+});
+
+server.on('upgrade', function (req, socket) {
+  var key = req.headers['sec-websocket-key'];
+  if (!key || ((req.headers.upgrade || '').toLowerCase() !== 'websocket')) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  if (allowedOrigins.indexOf(req.headers.origin) === -1) {
+    console.warn('reject connection from unexpected origin',
+      req.headers.origin, req.socket.remoteAddress);
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return;
+  }
+
+  var accept = crypto.createHash('sha1')
+    .update(key + WEBSOCKET_GUID)
+    .digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    'Sec-WebSocket-Accept: ' + accept + '\r\n' +
+    '\r\n');
+  socket.setNoDelay(true);
+
+  var client = new Client(socket);
+  clients[client.id] = client;
+  console.info('[' + client.id + '] connected from ' +
+    req.socket.remoteAddress);
+  client.onmessage = function (message) {
+    handleMessage(client, message);
+  };
+  client.onclose = function () {
+    handleClose(client);
+  };
+  client.send({ type: 'welcome', id: client.id });
+});
+
+
+// Detect dead sockets
+setInterval(function () {
+  Object.keys(clients).forEach(function (id) {
+    var client = clients[id];
+    if (!client.alive) {
+      console.info('[' + id + '] did not answer ping');
+      client.close(1001);
+      return;
+    }
+    client.alive = false;
+    client.ping();
+  });
+}, PING_INTERVAL).unref();
+
+
+var port = parseInt(process.argv[2], 10) || 8080;
+allowedOrigins = process.argv.slice(3).map(function (origin) {
+  return origin.replace(/\/+$/, '');
+});
+if (allowedOrigins.length === 0) {
+  console.warn('No allowed origin given, the relay rejects all connections.' +
+    ' Usage: node relay-server.js [port] [origin...]');
+}
+server.listen(port, function () {
+  console.info('Presentation API relay server listening on port ' + port);
+  console.info('Allowed origins: ' + (allowedOrigins.join(', ') || 'none'));
+});
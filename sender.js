@@ -59,19 +59,73 @@ window.onload = function () {
   var presentationConnected = false;
 
 
+  /**
+   * URL of the receiver app that runs the slide show, used to add displays
+   */
+  var presentationReceiverUrl = null;
+
+
   /**
    * A few references to useful DOM elements
    */
   var formSection = document.getElementById('form');
   var remoteSection = document.getElementById('remote');
   var errorSection = document.getElementById('error');
+  var resumeButton = document.getElementById('resume');
+
+
+  /**
+   * The last presentation is saved in local storage so that the user may
+   * resume it after a reload of this page
+   */
+  var lastPresentationKey = 'slidyremote.lastPresentation';
+
+  var getLastPresentation = function () {
+    try {
+      return JSON.parse(window.localStorage.getItem(lastPresentationKey));
+    }
+    catch (err) {
+      return null;
+    }
+  };
+
+  var setLastPresentation = function (presentation) {
+    try {
+      if (presentation) {
+        window.localStorage.setItem(lastPresentationKey, JSON.stringify(presentation));
+      }
+      else {
+        window.localStorage.removeItem(lastPresentationKey);
+      }
+    }
+    catch (err) {
+      console.warn('Cannot save last presentation in local storage', err);
+    }
+    resumeButton.hidden = !presentation;
+  };
+
+  resumeButton.hidden = !getLastPresentation();
 
 
   /**
    * Handle error messages
+   *
+   * Messages may come from the receiver (e.g. the name of another remote),
+   * they are rendered as text. Messages that need markup are passed as DOM
+   * nodes.
+   *
+   * @function
+   * @param {String|Node} message The message to report
    */
   var reportError = function (message) {
-    errorSection.querySelector('p').innerHTML = message;
+    var paragraph = errorSection.querySelector('p');
+    if (typeof message === 'string') {
+      paragraph.textContent = message;
+    }
+    else {
+      paragraph.textContent = '';
+      paragraph.appendChild(message);
+    }
     errorSection.hidden = false;
   };
   errorSection.querySelector('button').addEventListener('click', function (event) {
@@ -82,51 +136,173 @@ window.onload = function () {
 
 
   /**
-   * Project the Slidy slideshow targeted by the URL entered by the user
-   * to a second screen.
+   * Tell the presenter why the slideshow could not be loaded on the second
+   * screen
+   *
+   * @function
+   * @param {Error} err The error reported by the Slidy remote, with a "code"
    */
-  var submitButton = formSection.querySelector('input[type=submit]');
-  submitButton.addEventListener('click', function (event) {
-    event.preventDefault();
-
-    if (presentationConnection &&
-        (presentationConnection.state === 'connected')) {
-      return false;
+  var reportLoadError = function (err) {
+    switch (err.code) {
+    case 'deck-not-found':
+      reportError('The slide show could not be found on its server.' +
+        ' Please check its URL and try again.');
+      break;
+    case 'deck-unsupported':
+      reportError('The page does not run any supported slide framework.' +
+        ' The remote can control slide shows made with HTML Slidy,' +
+        ' reveal.js, Shower and impress.js.');
+      break;
+    case 'deck-cross-origin':
+      var message = document.createDocumentFragment();
+      var script = document.createElement('code');
+      script.textContent = 'deck-bridge.js';
+      message.appendChild(document.createTextNode(
+        'The slide show is served from another origin than' +
+        ' the receiver, which prevents the remote from controlling it.' +
+        ' Please add the '));
+      message.appendChild(script);
+      message.appendChild(document.createTextNode(' script to the slide' +
+        ' show, or use a copy served from the same origin.'));
+      reportError(message);
+      break;
+    case 'not-in-control':
+      reportError('Another remote is in control of a different slide show' +
+        ' on the second screen. You may follow it and request control.');
+      break;
+    case 'deck-load-failed':
+    case 'timeout':
+      reportError('The second screen did not manage to load the slide show.' +
+        ' Please check its network connection and try again.');
+      break;
+    default:
+      reportError('The second screen could not load the slide show.' +
+        ' Please check its URL and try again.');
+      break;
     }
-    presentationConnection = null;
+  };
+  window.w3c_slidy.onpresentationerror = function (err) {
+    // Errors of additional displays appear in the list of displays
+    if ((err.code.indexOf('deck-') === 0) &&
+        (err.connection === presentationConnection)) {
+      reportLoadError(err);
+    }
+  };
 
+
+  /**
+   * Parse the slideshow URL entered by the user
+   *
+   * @function
+   * @return {URL} The URL of the slideshow, null if the entered URL is invalid
+   */
+  var getEnteredUrl = function () {
     // Automatically convert http://www.w3.org into https://www.w3.org URLs
     var enteredUrl = document.querySelector('#url').value;
     if (enteredUrl.match(/^http:\/\/www.w3.org/)) {
       enteredUrl = 'https://' + enteredUrl.substring(7);
     }
 
-    var url = null;
-    var baseUrl = null;
     try {
-      url = new URL(enteredUrl, document.baseURI);
-      baseUrl = new URL(document.baseURI);
+      return new URL(enteredUrl, document.baseURI);
     }
     catch (err) {
-      reportError('The URL you entered is invalid.' +
-        ' Note that if the problem persists while the URL looks correct,' +
-        ' your browser may not support the URL constructor.');
-      return false;
+      return null;
     }
+  };
 
+
+  /**
+   * Find the receiver application that can control slideshows at the given
+   * URL
+   *
+   * Receiver apps control slideshows served from their own origin directly.
+   * Slideshows served from other origins must include the deck bridge
+   * script (see deck-bridge.js), in which case the receiver app that ships
+   * with this page can control them.
+   *
+   * @function
+   * @param {URL} url The URL of the slideshow
+   * @return {Object} The matching receiver app in "receiverApps", the one
+   * that ships with this page if none is known for the origin of the URL
+   */
+  var getReceiverApp = function (url) {
+    var baseUrl = new URL(document.baseURI);
     var receiverApp = null;
+    var defaultApp = null;
     receiverApps.forEach(function (app) {
+      if (!app.origin) {
+        defaultApp = app;
+      }
       if ((app.origin && (app.origin === url.origin)) ||
           (!app.origin && (url.origin === baseUrl.origin))) {
         receiverApp = app;
       }
     });
-    if (!receiverApp) {
-      reportError('No HTML Slidy receiver application known for the origin "' +
-        url.hostname + '". The demo is typically limited to the origins ' +
-        '<code>https://www.w3.org</code> and <code>https://webscreens.github.io</code>');
+    return receiverApp || defaultApp;
+  };
+
+
+  /**
+   * Availability of displays for each receiver application, indexed by the
+   * URL of the receiver app (set as availability gets reported)
+   */
+  var receiverAppsAvailability = {};
+
+
+  /**
+   * Hide the submit button when no display can present the receiver app
+   * that matches the entered URL.
+   *
+   * The button remains visible when the entered URL is invalid so that the
+   * user gets a proper error message upon submission.
+   */
+  var submitButton = formSection.querySelector('input[type=submit]');
+  var updateSubmitButton = function () {
+    var url = getEnteredUrl();
+    var receiverApp = url ? getReceiverApp(url) : null;
+    submitButton.hidden = !!receiverApp &&
+      (receiverAppsAvailability[receiverApp.url] === false);
+  };
+  receiverApps.forEach(function (app) {
+    var request = new w3cPresentationRequest(app.url);
+    request.getAvailability().then(function (availability) {
+      receiverAppsAvailability[app.url] = availability.value;
+      availability.addEventListener('change', function () {
+        receiverAppsAvailability[app.url] = availability.value;
+        updateSubmitButton();
+      });
+      updateSubmitButton();
+    }, function (err) {
+      console.warn('Cannot monitor display availability for receiver app "' +
+        app.url + '"', err);
+    });
+  });
+  document.querySelector('#url').addEventListener('input', updateSubmitButton);
+
+
+  /**
+   * Project the Slidy slideshow targeted by the URL entered by the user
+   * to a second screen.
+   */
+  submitButton.addEventListener('click', function (event) {
+    event.preventDefault();
+
+    if (presentationConnection &&
+        (presentationConnection.state === 'connected')) {
       return false;
     }
+    presentationConnection = null;
+
+    var url = getEnteredUrl();
+    if (!url) {
+      reportError('The URL you entered is invalid.' +
+        ' Note that if the problem persists while the URL looks correct,' +
+        ' your browser may not support the URL constructor.');
+      return false;
+    }
+
+    var receiverApp = getReceiverApp(url);
     console.log('Using receiver app "' + receiverApp.url + '" ' +
       '(castId: ' + receiverApp.castId + ')');
     
@@ -136,60 +312,165 @@ window.onload = function () {
     // window if possible.
     var presentationRequest = new w3cPresentationRequest(receiverApp.url);
     presentationRequest.start().then(function (connection) {
-      presentationConnection = connection;
-      presentationConnected = false;
+      controlPresentation(connection, receiverApp.url, url.toString(), false);
+    });
 
-      // Tell our Slidy remote about the created presentation connection so
-      // that local keystrokes effectively run the appropriate Slidy commands
-      // on the remote slide show.
-      window.w3c_slidy.bindToPresentationConnection(presentationConnection);
-
-      // Load the requested slideshow on the receiver end when the connection
-      // is fully operational and reset things if the connection is closed for
-      // some reason
-      presentationConnection.onstatechange = function () {
-        if (presentationConnection.state === 'connected') {
-          console.info('Presentation connected');
-          presentationConnected = true;
-          window.w3c_slidy.loadSlideshow(url.toString());
-          formSection.hidden = true;
-          remoteSection.hidden = false;
-        }
-        else if (presentationConnection.state === 'disconnected') {
-          console.warn('Presentation disconnected');
-          window.w3c_slidy.closePresentation();
-          formSection.hidden = false;
-          remoteSection.hidden = true;
-        }
-        else if (presentationConnection.state === 'terminated') {
-          console.warn('Presentation terminated');
-          if (!presentationConnected) {
-            reportError('The presentation connection could not be created.' +
-              ' Your browser may have blocked the pop-up window.' +
-              ' Please ensure that the page is allowed to open pop-up windows' +
-              ' and try again.');
-          }
-          presentationConnected = false;
-          window.w3c_slidy.closePresentation();
-          formSection.hidden = false;
-          remoteSection.hidden = true;
-        }
-      };
+    return false;
+  });
+
+
+  /**
+   * Resume the last presentation, if it is still running
+   */
+  resumeButton.addEventListener('click', function (event) {
+    event.preventDefault();
 
+    var lastPresentation = getLastPresentation();
+    if (!lastPresentation) {
+      return false;
+    }
+    if (presentationConnection &&
+        (presentationConnection.state === 'connected')) {
+      return false;
+    }
+    presentationConnection = null;
+
+    console.log('Resuming presentation "' + lastPresentation.id + '" ' +
+      'with receiver app "' + lastPresentation.receiverUrl + '"');
+    var presentationRequest = new w3cPresentationRequest(lastPresentation.receiverUrl);
+    presentationRequest.reconnect(lastPresentation.id).then(function (connection) {
+      controlPresentation(connection, lastPresentation.receiverUrl,
+        lastPresentation.slideshowUrl, true);
+    }, function (err) {
+      console.warn('Could not resume presentation', err);
+      if (err && (err.name === 'NotAllowedError')) {
+        reportError('The presentation could not be resumed.' +
+          ' Your browser may have blocked the pop-up window.' +
+          ' Please ensure that the page is allowed to open pop-up windows' +
+          ' and try again.');
+        return;
+      }
+      setLastPresentation(null);
+      reportError('The presentation could not be resumed.' +
+        ' The slide show may no longer be running on the second screen.');
     });
 
     return false;
   });
 
 
+  /**
+   * Control the slideshow through the given presentation connection
+   *
+   * @function
+   * @param {PresentationConnection} connection The presentation connection
+   * @param {String} receiverUrl URL of the receiver app
+   * @param {String} slideshowUrl URL of the slideshow
+   * @param {Boolean} resumed Whether the connection resumes a presentation
+   *  that already runs the slideshow
+   */
+  var controlPresentation = function (connection, receiverUrl, slideshowUrl, resumed) {
+    presentationConnection = connection;
+    presentationConnected = false;
+    presentationReceiverUrl = receiverUrl;
+
+    // Tell our Slidy remote about the created presentation connection so
+    // that local keystrokes effectively run the appropriate Slidy commands
+    // on the remote slide show.
+    window.w3c_slidy.bindToPresentationConnection(presentationConnection);
+    nameAnnounced = false;
+    renderPresentationControl(null);
+    renderPresentationState(null);
+    renderPresentationNotes(null);
+    renderPresentationSlides(null);
+    if (!resumed) {
+      presenterTimer.reset();
+    }
+    renderTimer();
+
+    // Load the requested slideshow on the receiver end when the connection
+    // is fully operational (unless it already runs it) and reset things if
+    // the connection is closed for some reason
+    connection.addEventListener('statechange', function () {
+      if (connection !== presentationConnection) {
+        return;
+      }
+      if (connection.state === 'connected') {
+        console.info('Presentation connected');
+        presentationConnected = true;
+        if (resumed) {
+          window.w3c_slidy.resumeSlideshow(slideshowUrl);
+        }
+        else {
+          window.w3c_slidy.loadSlideshow(slideshowUrl).catch(function (err) {
+            if ((connection !== presentationConnection) || (err.code === 'closed')) {
+              return;
+            }
+            if (err.code === 'not-in-control') {
+              // Follow the slide show of the remote in control
+              window.w3c_slidy.resumeSlideshow(slideshowUrl);
+            }
+            reportLoadError(err);
+          });
+        }
+        setLastPresentation({
+          id: connection.id,
+          receiverUrl: receiverUrl,
+          slideshowUrl: slideshowUrl
+        });
+        formSection.hidden = true;
+        remoteSection.hidden = false;
+      }
+      else if (connection.state === 'terminated') {
+        console.warn('Presentation terminated');
+        if (!presentationConnected) {
+          reportError('The presentation connection could not be created.' +
+            ' Your browser may have blocked the pop-up window.' +
+            ' Please ensure that the page is allowed to open pop-up windows' +
+            ' and try again.');
+        }
+        presentationConnected = false;
+        setLastPresentation(null);
+        window.w3c_slidy.closePresentation();
+        formSection.hidden = false;
+        remoteSection.hidden = true;
+      }
+    });
+
+    // The presentation keeps running when the connection gets closed, the
+    // user may resume it afterwards
+    connection.addEventListener('close', function (event) {
+      if (connection !== presentationConnection) {
+        return;
+      }
+      console.warn('Presentation connection closed (' + event.reason + ')',
+        event.message);
+      if (event.reason === 'error') {
+        reportError('The connection with the slide show was lost: ' +
+          event.message + '. You may try to resume the presentation.');
+      }
+      window.w3c_slidy.closePresentation();
+      formSection.hidden = false;
+      remoteSection.hidden = true;
+    });
+  };
+
+
   /**
    * Event handler to close the presentation
    */
   var closePresentation = function (event) {
     if (presentationConnection) {
+      // Close additional displays as well
+      window.w3c_slidy.getPresentationDisplays().forEach(function (display) {
+        if (display.connection !== presentationConnection) {
+          display.connection.terminate();
+        }
+      });
       presentationConnection.terminate();
       presentationConnection = null;
       presentationConnected = false;
+      setLastPresentation(null);
       window.w3c_slidy.closePresentation();
     }
     formSection.hidden = false;
@@ -201,24 +482,993 @@ window.onload = function () {
 
 
   /**
-   * Get pointers to remote buttons
+   * Get pointers to remote buttons, indexed by the command they send
    */
   var remote = {
     close: document.getElementById('remote-off'),
-    previous_slide: document.getElementById('remote-previous'),
-    next_slide: document.getElementById('remote-next'),
-    first_slide: document.getElementById('remote-first'),
-    last_slide: document.getElementById('remote-last'),
+    previous: document.getElementById('remote-previous'),
+    next: document.getElementById('remote-next'),
+    first: document.getElementById('remote-first'),
+    last: document.getElementById('remote-last'),
     smaller: document.getElementById('remote-smaller'),
     bigger: document.getElementById('remote-bigger'),
-    toggle_table_of_contents: document.getElementById('remote-toc'),
+    toggle_toc: document.getElementById('remote-toc'),
     toggle_toolbar: document.getElementById('remote-footer'),
-    toggle_view: document.getElementById('remote-all')
+    toggle_overview: document.getElementById('remote-all')
+  };
+
+
+  /**
+   * Touchpad area of the remote that drives the laser pointer and draws
+   * annotations on the projected screen
+   */
+  var pointerPad = document.getElementById('remote-pointer');
+
+  /**
+   * Annotation controls, only enabled for the remote in control, and
+   * export button
+   */
+  var annotationControls = Array.prototype.slice.call(
+    document.querySelectorAll('#remote-pad-tools button'))
+    .concat([
+      document.getElementById('remote-ink'),
+      document.getElementById('remote-clear-slide'),
+      document.getElementById('remote-clear-all')
+    ]);
+  var exportButton = document.getElementById('remote-export-annotations');
+
+
+  /**
+   * Buttons that cover the slideshow on the second screen, and what the
+   * audience sees then
+   */
+  var coverButtons = {
+    blackout: document.getElementById('remote-blackout'),
+    whiteout: document.getElementById('remote-whiteout'),
+    pause: document.getElementById('remote-pause')
+  };
+  var coverDescriptions = {
+    blackout: 'The audience sees a black screen',
+    whiteout: 'The audience sees a white screen',
+    pause: 'The audience sees the pause screen'
+  };
+  var coverStatus = document.getElementById('remote-cover-status');
+
+
+  /**
+   * Tell the presenter whether the audience sees the slideshow or a screen
+   * that covers it
+   */
+  var renderCover = function (cover, enabled) {
+    Object.keys(coverButtons).forEach(function (type) {
+      coverButtons[type].disabled = !enabled;
+      coverButtons[type].setAttribute('aria-pressed', type === cover);
+    });
+    coverStatus.hidden = !cover;
+    coverStatus.className = 'cover-status' + (cover ? ' ' + cover : '');
+    coverStatus.textContent = cover ?
+      coverDescriptions[cover] + ', press the button again to show the slide show.' :
+      '';
   };
 
 
+  // The slideshow may be covered while no slideshow is loaded, e.g. when it
+  // failed to load
+  window.w3c_slidy.onpresentationcoverchange = function (cover) {
+    renderCover(cover, presentationConnected && isInControl());
+  };
+
+
+  /**
+   * Render the state of the slideshow reported by the receiver on the remote
+   */
+  var renderPresentationState = function (state) {
+    var details = [];
+    if (!state) {
+      document.getElementById('remote-position').textContent = 'Loading slide show…';
+      document.getElementById('remote-title').textContent = '';
+      document.getElementById('remote-details').textContent = '';
+      pointerPad.setAttribute('aria-disabled', true);
+      annotationControls.forEach(function (control) {
+        control.disabled = true;
+      });
+      exportButton.disabled = true;
+      renderCover(window.w3c_slidy.getPresentationCover(),
+        presentationConnected && isInControl());
+      return;
+    }
+
+    document.getElementById('remote-position').textContent =
+      'Slide ' + (state.slideIndex + 1) + ' of ' + state.slideCount;
+    document.getElementById('remote-title').textContent = state.title;
+    if (state.stepCount > 0) {
+      details.push('Step ' + state.step + ' of ' + state.stepCount);
+    }
+    if (state.fontSize) {
+      details.push('Font size ' + state.fontSize);
+    }
+    if (state.commands.indexOf('toggle_toc') !== -1) {
+      details.push('TOC ' + (state.tocVisible ? 'shown' : 'hidden'));
+    }
+    if (state.commands.indexOf('toggle_toolbar') !== -1) {
+      details.push('Footer ' + (state.toolbarVisible ? 'shown' : 'hidden'));
+    }
+    document.getElementById('remote-details').textContent = details.join(' · ');
+
+    // Slide frameworks do not all support the same commands, and only the
+    // remote in control may run them
+    Object.keys(remote).forEach(function (command) {
+      if (command !== 'close') {
+        remote[command].disabled = !isInControl() ||
+          (state.commands.indexOf(command) === -1);
+      }
+    });
+    pointerPad.setAttribute('aria-disabled', !isInControl());
+    annotationControls.forEach(function (control) {
+      control.disabled = !isInControl();
+    });
+    exportButton.disabled = false;
+    renderCover(window.w3c_slidy.getPresentationCover(),
+      presentationConnected && isInControl());
+    remote.toggle_toc.setAttribute('aria-pressed', state.tocVisible);
+    remote.toggle_toolbar.setAttribute('aria-pressed', state.toolbarVisible);
+    remote.toggle_overview.setAttribute('aria-pressed', state.overview);
+
+    Array.prototype.forEach.call(
+      document.querySelectorAll('#remote-slide-list button'),
+      function (button, idx) {
+        button.setAttribute('aria-current', idx === state.slideIndex);
+      });
+  };
+
+
+  /**
+   * Render the list of slides reported by the receiver on the remote, so
+   * that the presenter may jump to any slide
+   */
+  var renderPresentationSlides = function (titles) {
+    var list = document.getElementById('remote-slide-list');
+    var datalist = document.getElementById('remote-slide-titles');
+    var state = window.w3c_slidy.getPresentationState();
+    list.innerHTML = '';
+    datalist.innerHTML = '';
+    (titles || []).forEach(function (title, idx) {
+      var item = document.createElement('li');
+      var button = document.createElement('button');
+      var option = null;
+      button.type = 'button';
+      button.textContent = title || 'Slide ' + (idx + 1);
+      button.setAttribute('aria-current', !!state && (idx === state.slideIndex));
+      button.addEventListener('click', function () {
+        window.w3c_slidy.sendPresentationCommand('goto', [idx]);
+      });
+      item.appendChild(button);
+      list.appendChild(item);
+
+      if (title) {
+        option = document.createElement('option');
+        option.value = title;
+        datalist.appendChild(option);
+      }
+    });
+  };
+  window.w3c_slidy.onpresentationslideschange = renderPresentationSlides;
+
+
+  /**
+   * Render the copies of the current and upcoming slides reported by the
+   * receiver, scaled down to fit the remote. Copies are rendered in
+   * sandboxed frames where scripts cannot run.
+   */
+  var mirrorPanel = document.getElementById('remote-mirror');
+
+  var renderMirrorSlide = function (container, slide, background, emptyText) {
+    var frame = null;
+    var scale = 1;
+    container.innerHTML = '';
+    container.style.height = '';
+    container.classList.toggle('empty', !slide);
+    if (!slide) {
+      container.textContent = emptyText;
+      return;
+    }
+
+    // The background color comes from the computed style of the slideshow
+    if (!(background || '').match(/^[a-z0-9(),.%# ]+$/i)) {
+      background = '#ffffff';
+    }
+    frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', '');
+    frame.setAttribute('tabindex', '-1');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.srcdoc = '<!DOCTYPE html><html><head><meta charset="utf-8" />' +
+      '<style>html, body { margin: 0; overflow: hidden; background: ' +
+      background + '; }</style></head><body>' + slide.html + '</body></html>';
+    scale = container.clientWidth / slide.width;
+    frame.style.width = slide.width + 'px';
+    frame.style.height = slide.height + 'px';
+    frame.style.transform = 'scale(' + scale + ')';
+    container.style.height = Math.round(slide.height * scale) + 'px';
+    container.appendChild(frame);
+  };
+
+  var renderPresentationMirror = function (mirror) {
+    mirrorPanel.hidden = !mirror;
+    if (!mirror) {
+      return;
+    }
+    renderMirrorSlide(document.getElementById('remote-mirror-current'),
+      mirror.current, mirror.background, 'Preview not available');
+    var state = window.w3c_slidy.getPresentationState();
+    var isLast = !!state && (mirror.slideIndex >= state.slideCount - 1);
+    renderMirrorSlide(document.getElementById('remote-mirror-next'),
+      mirror.next, mirror.background,
+      isLast ? 'End of slide show' : 'Preview not available');
+  };
+  window.w3c_slidy.onpresentationmirrorchange = renderPresentationMirror;
+  window.addEventListener('resize', function () {
+    renderPresentationMirror(window.w3c_slidy.getPresentationMirror());
+  });
+
+
+  /**
+   * The presenter may also run the slide show on this device, in a local
+   * preview that follows the displays (see local-preview.js). Whether the
+   * preview is enabled is saved in local storage.
+   */
+  var localPreviewKey = 'slidyremote.localPreview';
+  var previewToggle = document.getElementById('remote-preview-toggle');
+  var previewPanel = document.getElementById('remote-preview');
+  var previewStatus = document.getElementById('remote-preview-status');
+  var localPreview = new LocalPreview(previewPanel.querySelector('iframe'));
+
+  localPreview.onstatuschange = function (status, err) {
+    previewStatus.hidden = (status === 'ready') || (status === 'closed');
+    previewStatus.classList.toggle('error', status === 'error');
+    previewStatus.textContent = (status === 'error') ?
+      'The slide show cannot be shown on this device: ' + err.message :
+      'Loading slide show…';
+  };
+
+  var enableLocalPreview = function (enabled) {
+    previewToggle.checked = enabled;
+    previewPanel.hidden = !enabled;
+    window.w3c_slidy.setLocalPreview(enabled ? localPreview : null);
+  };
+
+  try {
+    enableLocalPreview(window.localStorage.getItem(localPreviewKey) === 'true');
+  }
+  catch (err) {
+    console.warn('Cannot read local preview setting from local storage', err);
+  }
+
+  previewToggle.addEventListener('change', function () {
+    enableLocalPreview(previewToggle.checked);
+    try {
+      window.localStorage.setItem(localPreviewKey, String(previewToggle.checked));
+    }
+    catch (err) {
+      console.warn('Cannot save local preview setting in local storage', err);
+    }
+  });
+
+
+  /**
+   * Keep keystrokes typed in the fields of the remote from triggering the
+   * keyboard shortcuts of the Slidy remote
+   */
+  Array.prototype.forEach.call(remoteSection.querySelectorAll('input'), function (input) {
+    ['keydown', 'keypress'].forEach(function (type) {
+      input.addEventListener(type, function (event) {
+        event.stopPropagation();
+      });
+    });
+  });
+
+
+  /**
+   * Jump to the slide entered by the presenter
+   */
+  var gotoForm = document.getElementById('remote-goto');
+  var gotoError = document.getElementById('remote-goto-error');
+  gotoForm.addEventListener('submit', function (event) {
+    var input = document.getElementById('remote-goto-input');
+    var index = window.w3c_slidy.findSlide(input.value);
+    event.preventDefault();
+    if (index === -1) {
+      gotoError.textContent = 'No slide matches "' + input.value + '"';
+      gotoError.hidden = false;
+      return false;
+    }
+    gotoError.hidden = true;
+    input.value = '';
+    window.w3c_slidy.sendPresentationCommand('goto', [index]).catch(function (err) {
+      gotoError.textContent = 'Could not go to slide ' + (index + 1) +
+        ': ' + err.message;
+      gotoError.hidden = false;
+    });
+    return false;
+  });
+
+
+  /**
+   * Render the speaker notes of the current slide on the remote.
+   *
+   * The notes pane is collapsed by default on small screens.
+   */
+  var notesPane = document.getElementById('remote-notes');
+  var renderPresentationNotes = function (notes) {
+    var content = document.getElementById('remote-notes-content');
+    content.textContent = (notes && notes.text) ? notes.text : 'No notes for this slide.';
+    content.classList.toggle('empty', !(notes && notes.text));
+    content.scrollTop = 0;
+  };
+  window.w3c_slidy.onpresentationnoteschange = renderPresentationNotes;
+  notesPane.open = !(window.matchMedia &&
+    window.matchMedia('(max-width: 30em)').matches);
+
+
+  /**
+   * Several remotes may control the same slideshow, one at a time. The
+   * control panel tells who is in control, lets this remote request or
+   * release control, and lets the remote in control grant or deny requests
+   * from other remotes. The name of the presenter is saved in local storage.
+   */
+  var presenterNameKey = 'slidyremote.presenterName';
+  var controlPanel = document.getElementById('remote-control');
+  var controlToggle = document.getElementById('remote-control-toggle');
+  var nameInput = document.getElementById('remote-name');
+
+  /**
+   * Whether the name of the presenter was sent over the current connection
+   */
+  var nameAnnounced = false;
+
+  try {
+    nameInput.value = window.localStorage.getItem(presenterNameKey) || '';
+  }
+  catch (err) {
+    console.warn('Cannot read presenter name from local storage', err);
+  }
+
+  var isInControl = function () {
+    var control = window.w3c_slidy.getPresentationControl();
+    return !control || (control.controllerId === control.you);
+  };
+
+  var reportControlError = function (err) {
+    reportError('The control request failed: ' + err.message);
+  };
+
+  var renderPresentationControl = function (control) {
+    var status = document.getElementById('remote-control-status');
+    var requests = document.getElementById('remote-control-requests');
+    var inControl = isInControl();
+    var requested = !!control && control.requests.some(function (request) {
+      return request.id === control.you;
+    });
+
+    // Do not bother a lone presenter with control matters
+    controlPanel.hidden = !control ||
+      (inControl && (control.controllers.length < 2));
+    if (!control) {
+      return;
+    }
+
+    if (inControl) {
+      status.textContent = 'You are in control of the slide show.';
+    }
+    else if (control.controllerName) {
+      status.textContent = control.controllerName +
+        ' is in control of the slide show.' +
+        (requested ? ' Control requested…' : '');
+    }
+    else {
+      status.textContent = 'Nobody is in control of the slide show.';
+    }
+    controlToggle.textContent = inControl ? 'Release control' : 'Request control';
+    controlToggle.disabled = requested;
+
+    requests.innerHTML = '';
+    if (inControl) {
+      control.requests.forEach(function (request) {
+        var item = document.createElement('li');
+        var grant = document.createElement('button');
+        var deny = document.createElement('button');
+        item.textContent = request.name + ' requests control';
+        grant.type = 'button';
+        grant.className = 'pure-button pure-button-primary';
+        grant.textContent = 'Grant';
+        grant.addEventListener('click', function () {
+          window.w3c_slidy.sendControlCommand('grant_control', [request.id])
+            .catch(reportControlError);
+        });
+        deny.type = 'button';
+        deny.className = 'pure-button';
+        deny.textContent = 'Deny';
+        deny.addEventListener('click', function () {
+          window.w3c_slidy.sendControlCommand('deny_control', [request.id])
+            .catch(reportControlError);
+        });
+        item.appendChild(grant);
+        item.appendChild(deny);
+        requests.appendChild(item);
+      });
+    }
+
+    renderPresentationState(window.w3c_slidy.getPresentationState());
+  };
+
+  window.w3c_slidy.onpresentationcontrolchange = function (control) {
+    // Tell other remotes who we are as soon as the receiver knows about us
+    if (control && nameInput.value && !nameAnnounced) {
+      nameAnnounced = true;
+      window.w3c_slidy.sendControlCommand('set_name', [nameInput.value])
+        .catch(reportControlError);
+    }
+    renderPresentationControl(control);
+  };
+
+  controlToggle.addEventListener('click', function () {
+    var cmd = isInControl() ? 'release_control' : 'request_control';
+    window.w3c_slidy.sendControlCommand(cmd).catch(reportControlError);
+  });
+
+  document.getElementById('remote-name-form').addEventListener('submit', function (event) {
+    event.preventDefault();
+    nameInput.blur();
+  });
+  nameInput.addEventListener('change', function () {
+    var name = nameInput.value.trim();
+    try {
+      window.localStorage.setItem(presenterNameKey, name);
+    }
+    catch (err) {
+      console.warn('Cannot save presenter name in local storage', err);
+    }
+    if (name) {
+      window.w3c_slidy.sendControlCommand('set_name', [name])
+        .catch(reportControlError);
+    }
+  });
+
+
+  /**
+   * The slide show may run on several displays in lockstep, e.g. on a main
+   * projector and on overflow screens. The list of displays shows the state
+   * of their connection and their current slide.
+   */
+  var renderPresentationDisplays = function (displays) {
+    var list = document.getElementById('remote-display-list');
+    list.innerHTML = '';
+    (displays || []).forEach(function (display, idx) {
+      var item = document.createElement('li');
+      var status = null;
+      if (display.connection.state !== 'connected') {
+        status = (display.connection.state === 'connecting') ?
+          'connecting…' : 'disconnected';
+      }
+      else if (display.error) {
+        status = 'error: ' + display.error.message;
+        item.className = 'error';
+      }
+      else if (!display.loaded || !display.state) {
+        status = 'loading…';
+      }
+      else {
+        status = 'slide ' + (display.state.slideIndex + 1);
+      }
+      item.textContent = (display.name || 'Display ' + (idx + 1)) +
+        (display.main ? ' (main)' : '') + ': ' + status;
+      if (display.main) {
+        item.classList.add('main');
+      }
+      else {
+        var remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'pure-button';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', function () {
+          display.connection.terminate();
+        });
+        item.appendChild(remove);
+      }
+      list.appendChild(item);
+    });
+  };
+  window.w3c_slidy.onpresentationdisplayschange = renderPresentationDisplays;
+
+  document.getElementById('remote-add-display').addEventListener('click', function () {
+    if (!presentationReceiverUrl) {
+      return;
+    }
+    var presentationRequest = new w3cPresentationRequest(presentationReceiverUrl);
+    presentationRequest.start().then(function (connection) {
+      console.info('Adding display to the presentation');
+      window.w3c_slidy.addPresentationConnection(connection);
+    }, function (err) {
+      console.warn('Could not add display', err);
+    });
+  });
+
+
+  /**
+   * Presenter timer. The talk length entered by the user is saved in local
+   * storage.
+   */
+  var talkLengthKey = 'slidyremote.talkLength';
+  var talkLengthInput = document.getElementById('timer-length');
+  var timerToggle = document.getElementById('timer-toggle');
+  var timerWarning = document.getElementById('timer-warning');
+
+  var getTalkLength = function () {
+    var minutes = parseFloat(talkLengthInput.value);
+    return ((minutes > 0) ? minutes : 20) * 60 * 1000;
+  };
+
+  try {
+    talkLengthInput.value = window.localStorage.getItem(talkLengthKey) ||
+      talkLengthInput.value;
+  }
+  catch (err) {
+    console.warn('Cannot read talk length from local storage', err);
+  }
+
+  var presenterTimer = new PresenterTimer(getTalkLength());
+
+  var renderTimer = function () {
+    var status = presenterTimer.getStatus();
+    var format = PresenterTimer.formatDuration;
+    var warning = '';
+
+    document.getElementById('timer-elapsed').textContent = format(status.elapsed);
+    document.getElementById('timer-remaining').textContent = format(status.remaining);
+    document.getElementById('timer-slide').textContent = format(status.slideDwell) +
+      ((status.slideBudget !== null) ? ' / ' + format(status.slideBudget) : '');
+    document.getElementById('timer-clock').textContent =
+      new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    timerToggle.textContent = status.running ? 'Pause' : 'Start';
+
+    if (status.warning === 'overtime') {
+      warning = 'Over time by ' + format(-status.remaining);
+    }
+    else if (status.warning === 'behind') {
+      warning = 'Behind schedule by ' + format(status.behind);
+    }
+    else if (status.warning === 'slide') {
+      warning = 'Over the time budget of this slide';
+    }
+
+    // Only touch the warning when it changes not to flood screen readers
+    if (timerWarning.textContent !== warning) {
+      timerWarning.textContent = warning;
+      timerWarning.className = 'timer-warning ' + (status.warning || '');
+      timerWarning.hidden = !warning;
+    }
+  };
+
+  talkLengthInput.addEventListener('change', function () {
+    presenterTimer.setTalkLength(getTalkLength());
+    try {
+      window.localStorage.setItem(talkLengthKey, talkLengthInput.value);
+    }
+    catch (err) {
+      console.warn('Cannot save talk length in local storage', err);
+    }
+    renderTimer();
+  });
+
+  timerToggle.addEventListener('click', function () {
+    if (presenterTimer.isRunning()) {
+      presenterTimer.pause();
+    }
+    else {
+      presenterTimer.start();
+    }
+    renderTimer();
+  });
+
+  document.getElementById('timer-reset').addEventListener('click', function () {
+    presenterTimer.reset();
+    renderTimer();
+  });
+
+  setInterval(function () {
+    if (!remoteSection.hidden) {
+      renderTimer();
+    }
+  }, 1000);
+
+
+  /**
+   * React to state changes reported by the receiver. The timer starts on
+   * its own when the presenter moves to another slide.
+   */
+  window.w3c_slidy.onpresentationstatechange = function (state) {
+    var previousIndex = presenterTimer.getStatus().slideIndex;
+    renderPresentationState(state);
+    presenterTimer.updateSlides(state);
+    if (state && (previousIndex !== null) &&
+        (previousIndex !== state.slideIndex)) {
+      presenterTimer.start();
+    }
+    renderTimer();
+  };
+
+
+  /**
+   * Drive the laser pointer and annotate slides with the touchpad. With the
+   * laser tool, the pointer follows the finger (or mouse) and disappears
+   * when the presenter lifts it. Drawing tools draw strokes on the current
+   * slide. Positions are sent as fractions of the touchpad size.
+   */
+  var padTools = document.querySelectorAll('#remote-pad-tools button');
+  var padHint = pointerPad.querySelector('span');
+  var inkInput = document.getElementById('remote-ink');
+  var padLayer = new window.AnnotationLayer(
+    document.getElementById('remote-annotations'));
+  var padTool = 'pointer';
+  var activePointerId = null;
+  var padRenderScheduled = false;
+
+  // Stroke that the presenter draws, drawn from local points until the
+  // receiver has reported all of them
+  var localStroke = null;
+
+  var isLocalStroke = function (stroke) {
+    var control = window.w3c_slidy.getPresentationControl();
+    return !!localStroke && (stroke.id === localStroke.id) &&
+      (!control || (stroke.controllerId === control.you));
+  };
+
+  var renderAnnotations = function () {
+    if (padRenderScheduled) {
+      return;
+    }
+    padRenderScheduled = true;
+    window.requestAnimationFrame(function () {
+      var annotations = window.w3c_slidy.getPresentationAnnotations();
+      var strokes = annotations ? annotations.strokes : [];
+      var reported = strokes.filter(isLocalStroke)[0];
+      padRenderScheduled = false;
+      if (localStroke && (activePointerId === null) && reported &&
+          (reported.points.length >= localStroke.points.length)) {
+        localStroke = null;
+      }
+      if (localStroke) {
+        strokes = strokes.filter(function (stroke) {
+          return !isLocalStroke(stroke);
+        }).concat(localStroke);
+      }
+
+      // The touchpad is hidden until the presentation starts, adjust the
+      // canvas to its actual size
+      padLayer.resize();
+      padLayer.render(strokes);
+    });
+  };
+  window.w3c_slidy.onpresentationannotationschange = renderAnnotations;
+  window.addEventListener('resize', renderAnnotations);
+
+  var getPadPosition = function (event) {
+    var rect = pointerPad.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) / rect.width,
+      y: (event.clientY - rect.top) / rect.height
+    };
+  };
+
+  var movePointer = function (event) {
+    var position = getPadPosition(event);
+    if (padTool === 'pointer') {
+      window.w3c_slidy.movePointer(position.x, position.y);
+    }
+    else if (localStroke) {
+      var point = window.AnnotationLayer.toPoint(position.x, position.y);
+      var points = localStroke.points;
+      window.w3c_slidy.continueStroke(position.x, position.y);
+      if ((points[points.length - 2] !== point[0]) ||
+          (points[points.length - 1] !== point[1])) {
+        localStroke.points = points.concat(point);
+        renderAnnotations();
+      }
+    }
+  };
+
+  var releasePointer = function (event) {
+    if (event.pointerId !== activePointerId) {
+      return;
+    }
+    activePointerId = null;
+    pointerPad.classList.remove('active');
+    if (padTool === 'pointer') {
+      window.w3c_slidy.hidePointer();
+    }
+    else {
+      window.w3c_slidy.endStroke();
+      renderAnnotations();
+    }
+  };
+
+  pointerPad.addEventListener('pointerdown', function (event) {
+    if ((activePointerId !== null) ||
+        (pointerPad.getAttribute('aria-disabled') === 'true')) {
+      return;
+    }
+    event.preventDefault();
+    activePointerId = event.pointerId;
+    pointerPad.setPointerCapture(event.pointerId);
+    pointerPad.classList.add('active');
+    if (padTool !== 'pointer') {
+      localStroke = {
+        id: window.w3c_slidy.beginStroke(padTool, inkInput.value),
+        tool: padTool,
+        color: inkInput.value,
+        points: []
+      };
+    }
+    movePointer(event);
+  });
+  pointerPad.addEventListener('pointermove', function (event) {
+    if (event.pointerId === activePointerId) {
+      movePointer(event);
+    }
+  });
+  pointerPad.addEventListener('pointerup', releasePointer);
+  pointerPad.addEventListener('pointercancel', releasePointer);
+
+  Array.prototype.forEach.call(padTools, function (button) {
+    button.addEventListener('click', function () {
+      padTool = button.getAttribute('data-tool');
+      Array.prototype.forEach.call(padTools, function (tool) {
+        tool.setAttribute('aria-pressed', tool === button);
+      });
+      padHint.textContent = (padTool === 'pointer') ?
+        'Touch and drag to point at the slide show' :
+        'Touch and drag to draw on the current slide';
+    });
+  });
+
+  document.getElementById('remote-clear-slide').addEventListener('click', function () {
+    localStroke = null;
+    window.w3c_slidy.clearAnnotations(false).catch(function (err) {
+      reportError('Could not clear annotations: ' + err.message);
+    });
+  });
+
+  document.getElementById('remote-clear-all').addEventListener('click', function () {
+    if (!window.confirm('Clear annotations of all slides?')) {
+      return;
+    }
+    localStroke = null;
+    window.w3c_slidy.clearAnnotations(true).catch(function (err) {
+      reportError('Could not clear annotations: ' + err.message);
+    });
+  });
+
+  // Annotations are exported as JSON, with the title of annotated slides
+  // (see annotation-layer.js for the format of strokes)
+  document.getElementById('remote-export-annotations').addEventListener('click', function () {
+    window.w3c_slidy.getAnnotations().then(function (annotations) {
+      if (annotations.slides.length === 0) {
+        reportError('There are no annotations to export.');
+        return;
+      }
+      var titles = window.w3c_slidy.getPresentationSlides() || [];
+      annotations.scale = window.AnnotationLayer.scale;
+      annotations.slides.forEach(function (slide) {
+        slide.title = titles[slide.slideIndex] || null;
+      });
+      var link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob(
+        [JSON.stringify(annotations, null, 2)],
+        { type: 'application/json' }));
+      link.download = 'annotations.json';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(function () {
+        URL.revokeObjectURL(link.href);
+      }, 0);
+    }).catch(function (err) {
+      reportError('Could not export annotations: ' + err.message);
+    });
+  });
+
+  // Slidy binds its swipe gestures to the whole document, pointing at the
+  // slide show should not change slides
+  ['touchstart', 'touchmove', 'touchend'].forEach(function (type) {
+    pointerPad.addEventListener(type, function (event) {
+      event.stopPropagation();
+    });
+  });
+
+
+  /**
+   * Cover the slideshow with a black, white or pause screen, or uncover it,
+   * from the remote buttons or with keyboard shortcuts. Shortcuts follow
+   * those of presentation clickers ("B" or "." for a black screen, "W" or
+   * "," for a white screen) and take precedence over Slidy's own shortcuts.
+   */
+  var pauseMessageInput = document.getElementById('remote-pause-message');
+  var coverKeys = {
+    b: 'blackout',
+    '.': 'blackout',
+    w: 'whiteout',
+    ',': 'whiteout',
+    p: 'pause'
+  };
+
+  var toggleCover = function (type) {
+    window.w3c_slidy.toggleCover(type,
+      (type === 'pause') ? pauseMessageInput.value : null);
+  };
+
+  Object.keys(coverButtons).forEach(function (type) {
+    coverButtons[type].addEventListener('click', function () {
+      toggleCover(type);
+    });
+  });
+
+  document.getElementById('remote-pause-form').addEventListener('submit', function (event) {
+    event.preventDefault();
+  });
+
+  window.addEventListener('keydown', function (event) {
+    var key = event.key ? event.key.toLowerCase() : '';
+    var type = coverKeys.hasOwnProperty(key) ? coverKeys[key] : null;
+    if (!type || remoteSection.hidden ||
+        event.ctrlKey || event.altKey || event.metaKey ||
+        /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName || '')) {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    if (!coverButtons[type].disabled) {
+      toggleCover(type);
+    }
+  }, true);
+
+
+  /**
+   * Record rehearsals of the talk: slideshow commands, slideshows loaded and
+   * changes of connection state, with timestamps (see session-recorder.js).
+   * Recordings may be exported and imported as JSON, and replayed on the
+   * displays at real or accelerated speed.
+   */
+  var sessionRecorder = new SessionRecorder();
+  var recordButton = document.getElementById('recorder-record');
+  var replayButton = document.getElementById('recorder-replay');
+  var speedSelect = document.getElementById('recorder-speed');
+  var recordingExportButton = document.getElementById('recorder-export');
+  var recordingFileInput = document.getElementById('recorder-file');
+
+  var renderRecorder = function (status) {
+    var format = PresenterTimer.formatDuration;
+    var text = 'No recording';
+    if (status.status === 'recording') {
+      text = 'Recording… ' + format(status.duration) + ', ' +
+        status.eventCount + ' events';
+    }
+    else if (status.status === 'replaying') {
+      text = 'Replaying event ' + (status.replayed + 1) + ' of ' +
+        status.eventCount;
+    }
+    else if (sessionRecorder.getRecording()) {
+      text = 'Recording of ' + format(status.duration) + ', ' +
+        status.eventCount + ' events';
+    }
+    document.getElementById('recorder-status').textContent = text;
+    recordButton.textContent = (status.status === 'recording') ? 'Stop' : 'Record';
+    recordButton.disabled = (status.status === 'replaying');
+    replayButton.textContent = (status.status === 'replaying') ? 'Stop' : 'Replay';
+    replayButton.disabled = (status.status === 'recording') ||
+      (status.eventCount === 0);
+    recordingExportButton.disabled = (status.status !== 'idle') ||
+      !sessionRecorder.getRecording();
+  };
+  sessionRecorder.onchange = renderRecorder;
+
+  window.w3c_slidy.onpresentationactivity = function (activity) {
+    sessionRecorder.record(activity);
+  };
+
+  // Recordings start from the slide currently shown, so that replays do
+  // not depend on where the slideshow was when they start
+  recordButton.addEventListener('click', function () {
+    if (sessionRecorder.status === 'recording') {
+      sessionRecorder.stop();
+      return;
+    }
+    var state = window.w3c_slidy.getPresentationState();
+    sessionRecorder.start();
+    if (state) {
+      sessionRecorder.record({ type: 'load', url: state.url });
+      sessionRecorder.record({ type: 'command', cmd: 'goto', params: [state.slideIndex] });
+      for (var step = 0; step < state.step; step++) {
+        sessionRecorder.record({ type: 'command', cmd: 'next', params: [true] });
+      }
+    }
+  });
+
+  // Replays wait for slideshows to load before moving on, and stop if a
+  // slideshow cannot be loaded. Commands that fail are logged and do not
+  // stop the replay.
+  var replayEvent = function (event) {
+    if (event.type === 'load') {
+      return window.w3c_slidy.loadSlideshow(event.url);
+    }
+    else if (event.type === 'command') {
+      window.w3c_slidy.sendPresentationCommand(event.cmd, event.params || [])
+        .catch(function () {});
+    }
+  };
+
+  replayButton.addEventListener('click', function () {
+    if (sessionRecorder.status === 'replaying') {
+      sessionRecorder.stop();
+      return;
+    }
+    if (!isInControl()) {
+      reportError('Request control of the slide show to replay a recording.');
+      return;
+    }
+    sessionRecorder.replay(parseFloat(speedSelect.value) || 1, replayEvent)
+      .catch(reportLoadError);
+  });
+
+  recordingExportButton.addEventListener('click', function () {
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob(
+      [JSON.stringify(sessionRecorder.getRecording(), null, 2)],
+      { type: 'application/json' }));
+    link.download = 'recording.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function () {
+      URL.revokeObjectURL(link.href);
+    }, 0);
+  });
+
+  document.getElementById('recorder-import').addEventListener('click', function () {
+    recordingFileInput.click();
+  });
+
+  recordingFileInput.addEventListener('change', function () {
+    var file = recordingFileInput.files[0];
+    recordingFileInput.value = '';
+    if (!file) {
+      return;
+    }
+    var reader = new FileReader();
+    reader.onload = function () {
+      try {
+        sessionRecorder.setRecording(SessionRecorder.parse(reader.result));
+      }
+      catch (err) {
+        reportError('Could not import the recording: ' + err.message);
+      }
+    };
+    reader.onerror = function () {
+      reportError('Could not read the recording file.');
+    };
+    reader.readAsText(file);
+  });
+
+  renderRecorder(sessionRecorder.getStatus());
+
+  // Keep the duration of the ongoing recording up to date
+  setInterval(function () {
+    if (sessionRecorder.status === 'recording') {
+      renderRecorder(sessionRecorder.getStatus());
+    }
+  }, 1000);
+
+
   /**
-   * Bind clicks on remote buttons to the appropriate Slidy commands
+   * Bind clicks on remote buttons to the appropriate slideshow commands
    */
   Object.keys(remote).forEach(function (command) {
     if (command === 'close') {
@@ -226,7 +1476,7 @@ window.onload = function () {
     }
     else {
       remote[command].addEventListener('click', function (event) {
-        window.w3c_slidy[command]();
+        window.w3c_slidy.sendPresentationCommand(command);
       });
     }
   });
@@ -0,0 +1,329 @@
+/**
+ * @fileOverview Session recorder used by the HTML Slidy remote to record
+ * rehearsals of a talk and play them back on a display.
+ *
+ * The recorder only keeps track of events, the remote feeds events to the
+ * recorder through "record" and runs them on replay. Recordings are plain
+ * objects that may be exported and imported as JSON:
+ *
+ * {
+ *   "version": 1,
+ *   "startedAt": "2026-10-19T09:00:00.000Z",
+ *   "duration": 1234567,
+ *   "events": [
+ *     { "time": 0, "type": "load", "url": "https://example.org/talk.html" },
+ *     { "time": 5230, "type": "command", "cmd": "next", "params": [] },
+ *     { "time": 9000, "type": "connection", "display": "Projector",
+ *       "state": "closed" }
+ *   ]
+ * }
+ *
+ * Times are in milliseconds since the beginning of the recording. Events
+ * are:
+ * - "load": the slideshow at "url" was loaded on the displays
+ * - "command": the slideshow command "cmd" was sent to the displays with
+ * the given "params" (see "sendPresentationCommand" in slidy-remote.js)
+ * - "connection": the connection of a display (named "display", null if
+ * unknown) changed to the given "state". Connection changes cannot be
+ * replayed, they are recorded to review the session.
+ */
+(function () {
+  /**
+   * Version of the recording format
+   */
+  var version = 1;
+
+  /**
+   * Types of events that a recording may contain
+   */
+  var eventTypes = ['load', 'command', 'connection'];
+
+
+  /**
+   * Creates a session recorder
+   *
+   * @constructor
+   */
+  var SessionRecorder = function () {
+    var that = this;
+
+    /**
+     * The current recording, null if none
+     */
+    var recording = null;
+
+    /**
+     * Time at which the recording started, null when not recording
+     */
+    var startedAt = null;
+
+    /**
+     * Number of replays so far, used to stop replays that were superseded
+     */
+    var replayCount = 0;
+
+    /**
+     * Index of the next event to replay, timer that replays it, and
+     * function that ends the current replay, if any
+     */
+    var replayIndex = 0;
+    var replayTimer = null;
+    var endReplay = null;
+
+
+    /**
+     * Status of the recorder: "idle", "recording" or "replaying"
+     */
+    this.status = 'idle';
+
+    /**
+     * Function called whenever the recorder records or replays an event,
+     * or changes status (see "getStatus")
+     *
+     * @type {function}
+     */
+    this.onchange = null;
+
+
+    /**
+     * Report a change of status or progress
+     *
+     * @function
+     * @private
+     */
+    var reportChange = function () {
+      if (that.onchange) {
+        that.onchange(that.getStatus());
+      }
+    };
+
+
+    /**
+     * Start recording, dropping the current recording. Events recorded
+     * from now on are timestamped relative to now.
+     *
+     * @function
+     */
+    this.start = function () {
+      that.stop();
+      startedAt = Date.now();
+      recording = {
+        version: version,
+        startedAt: new Date(startedAt).toISOString(),
+        duration: 0,
+        events: []
+      };
+      that.status = 'recording';
+      reportChange();
+    };
+
+
+    /**
+     * Stop recording or replaying
+     *
+     * @function
+     */
+    this.stop = function () {
+      if (that.status === 'recording') {
+        recording.duration = Date.now() - startedAt;
+        startedAt = null;
+      }
+      else if (that.status === 'replaying') {
+        replayCount += 1;
+        clearTimeout(replayTimer);
+        endReplay(false);
+      }
+      else {
+        return;
+      }
+      that.status = 'idle';
+      reportChange();
+    };
+
+
+    /**
+     * Record the given event, unless the recorder is not recording
+     *
+     * @function
+     * @param {Object} event The event, with its "type" and properties (see
+     *  above), without "time"
+     */
+    this.record = function (event) {
+      if (that.status !== 'recording') {
+        return;
+      }
+      var recorded = { time: Date.now() - startedAt };
+      Object.keys(event).forEach(function (name) {
+        recorded[name] = event[name];
+      });
+      recording.events.push(recorded);
+      reportChange();
+    };
+
+
+    /**
+     * Return the current recording
+     *
+     * @function
+     * @return {Object} The recording, null if none. The recording is still
+     *  being updated while the recorder is recording.
+     */
+    this.getRecording = function () {
+      return recording;
+    };
+
+
+    /**
+     * Replace the current recording with the given one, typically imported
+     * from a file (see "SessionRecorder.parse")
+     *
+     * @function
+     * @param {Object} newRecording The recording
+     */
+    this.setRecording = function (newRecording) {
+      that.stop();
+      recording = newRecording;
+      reportChange();
+    };
+
+
+    /**
+     * Replay the current recording, running events one after the other
+     * with the same delays as when they were recorded, divided by the
+     * given speed. Events run with the given function, which may return a
+     * promise to delay the next events (e.g. until a slideshow is loaded).
+     * The replay stops if the promise is rejected.
+     *
+     * @function
+     * @param {Number} speed The replay speed, 1 for real time
+     * @param {function} run The function that runs an event
+     * @return {Promise} The promise to replay the recording, which resolves
+     *  with true once all events ran, or with false if the replay was
+     *  stopped. The promise is rejected with the error of the event that
+     *  failed, if any.
+     */
+    this.replay = function (speed, run) {
+      that.stop();
+      if (!recording) {
+        return Promise.reject(new Error('No recording to replay'));
+      }
+      var events = recording.events;
+      var replay = replayCount;
+      var previousTime = 0;
+      replayIndex = 0;
+      that.status = 'replaying';
+      reportChange();
+
+      return new Promise(function (resolve, reject) {
+        endReplay = resolve;
+
+        var next = function () {
+          if (replay !== replayCount) {
+            return;
+          }
+          if (replayIndex >= events.length) {
+            that.status = 'idle';
+            reportChange();
+            resolve(true);
+            return;
+          }
+          var event = events[replayIndex];
+          replayTimer = setTimeout(function () {
+            new Promise(function (done) {
+              done(run(event));
+            }).then(function () {
+              if (replay !== replayCount) {
+                return;
+              }
+              previousTime = event.time;
+              replayIndex += 1;
+              reportChange();
+              next();
+            }, function (err) {
+              if (replay !== replayCount) {
+                return;
+              }
+              that.status = 'idle';
+              reportChange();
+              reject(err);
+            });
+          }, Math.max(event.time - previousTime, 0) / speed);
+        };
+        next();
+      });
+    };
+
+
+    /**
+     * Return the status of the recorder
+     *
+     * @function
+     * @return {Object} The "status" of the recorder, the number of events
+     *  in the recording ("eventCount", 0 if there is no recording), the
+     *  "duration" of the recording in milliseconds, which grows while
+     *  recording, and the number of events replayed so far ("replayed")
+     */
+    this.getStatus = function () {
+      return {
+        status: that.status,
+        eventCount: recording ? recording.events.length : 0,
+        duration: !recording ? 0 :
+          ((that.status === 'recording') ? Date.now() - startedAt : recording.duration),
+        replayed: (that.status === 'replaying') ? replayIndex : 0
+      };
+    };
+  };
+
+
+  /**
+   * Parse and check the given recording, typically exported to a file
+   * beforehand
+   *
+   * @function
+   * @static
+   * @param {String} text The recording, serialized as JSON
+   * @return {Object} The recording. Throws an error if the text is not a
+   *  valid recording.
+   */
+  SessionRecorder.parse = function (text) {
+    var recording = null;
+    var previousTime = 0;
+    try {
+      recording = JSON.parse(text);
+    }
+    catch (err) {
+      throw new Error('The recording is not valid JSON');
+    }
+    if (!recording || (recording.version !== version) ||
+        !Array.isArray(recording.events)) {
+      throw new Error('The recording is not a session recording ' +
+        '(version ' + version + ')');
+    }
+    recording.events.forEach(function (event, idx) {
+      var valid = event && (typeof event.time === 'number') &&
+        (event.time >= previousTime) &&
+        (eventTypes.indexOf(event.type) !== -1);
+      if (valid && (event.type === 'load')) {
+        valid = (typeof event.url === 'string');
+      }
+      else if (valid && (event.type === 'command')) {
+        valid = (typeof event.cmd === 'string') &&
+          ((event.params === undefined) || Array.isArray(event.params));
+      }
+      else if (valid) {
+        valid = (typeof event.state === 'string');
+      }
+      if (!valid) {
+        throw new Error('Event ' + (idx + 1) + ' of the recording is invalid');
+      }
+      previousTime = event.time;
+    });
+    if (typeof recording.duration !== 'number') {
+      recording.duration = previousTime;
+    }
+    return recording;
+  };
+
+
+  window.SessionRecorder = SessionRecorder;
+})();
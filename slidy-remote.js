@@ -13,18 +13,127 @@
 
 
   /**
-   * Presentation connection that the Slidy remote is to control
-   * (set with a call to "bindToPresentationConnection")
+   * Displays that the Slidy remote controls in lockstep (set with calls to
+   * "bindToPresentationConnection" and "addPresentationConnection"). Each
+   * display has its presentation "connection", the request/response layer
+   * on top of it ("rpc"), the last "state" it reported, whether it runs the
+   * slideshow ("loaded"), whether it needs to be brought to the current
+   * slide ("needsSync"), and the last "error" it reported.
    *
-   * @type {PresentationConnection}
+   * The first connected display is the main display: the remote reports
+   * its state, notes, slides and control, and other displays follow it.
    */
-  var presentationConnection = null;
+  var displays = [];
 
 
   /**
-   * Whether a slideshow has been loaded or not
+   * Time to wait for the receiver to load a slideshow, in milliseconds
    */
-  var slideshowLoaded = false;
+  var loadTimeout = 30000;
+
+
+  /**
+   * URL of the slideshow that the displays run, null if none
+   */
+  var slideshowUrl = null;
+
+
+  /**
+   * Current slide, incremental step and screen that covers the slideshow
+   * (with the message of the pause screen), from the last state that the
+   * main display reported, used to bring other displays to the current
+   * slide
+   */
+  var currentPosition = null;
+
+
+  /**
+   * Last state of the slideshow reported by the receiver
+   * (see "getPresentationState")
+   */
+  var presentationState = null;
+
+
+  /**
+   * Speaker notes of the current slide reported by the receiver
+   * (see "getPresentationNotes")
+   */
+  var presentationNotes = null;
+
+
+  /**
+   * Titles of the slides of the slideshow reported by the receiver
+   * (see "getPresentationSlides")
+   */
+  var presentationSlides = null;
+
+
+  /**
+   * Who is in control of the slideshow, as last reported by the receiver
+   * (see "getPresentationControl")
+   */
+  var presentationControl = null;
+
+
+  /**
+   * Screen that covers the slideshow, as last reported by the receiver
+   * (see "getPresentationCover")
+   */
+  var presentationCover = null;
+
+
+  /**
+   * Annotations of the current slide, as last reported by the receiver
+   * (see "getPresentationAnnotations")
+   */
+  var presentationAnnotations = null;
+
+
+  /**
+   * Copy of the current and upcoming slides, as last reported by the
+   * receiver (see "getPresentationMirror")
+   */
+  var presentationMirror = null;
+
+
+  /**
+   * Local preview of the slideshow on this device, null if disabled (see
+   * "setLocalPreview")
+   */
+  var localPreview = null;
+
+
+  /**
+   * Minimum time between two laser pointer or drawing updates, in
+   * milliseconds
+   */
+  var overlayInterval = 50;
+
+
+  /**
+   * Position of the laser pointer waiting to be sent, null if none
+   */
+  var pendingPointer = null;
+
+
+  /**
+   * Stroke that the presenter is drawing, null if none, with its "id",
+   * "tool", "color", the "pending" points not sent yet and the "last" point
+   * added
+   */
+  var activeStroke = null;
+
+
+  /**
+   * Number of strokes drawn so far, used to generate stroke IDs
+   */
+  var strokeCount = 0;
+
+
+  /**
+   * Timer that sends pending laser pointer and drawing updates
+   */
+  var overlayTimer = null;
 
 
   /**
@@ -35,11 +144,359 @@
   };
 
 
+  /**
+   * Returns the main display, meaning the first connected display
+   *
+   * @function
+   * @private
+   * @return {Object} The main display, the first display if none is
+   *  connected, null if there is no display at all
+   */
+  var getMainDisplay = function () {
+    var main = null;
+    displays.some(function (display) {
+      if (display.connection.state === 'connected') {
+        main = display;
+        return true;
+      }
+      return false;
+    });
+    return main || displays[0] || null;
+  };
+
+
+  /**
+   * Find the display that uses the given presentation connection
+   *
+   * @function
+   * @private
+   * @param {PresentationConnection} connection The presentation connection
+   * @return {Object} The display, null if not found
+   */
+  var findDisplay = function (connection) {
+    var found = null;
+    displays.some(function (display) {
+      if (display.connection === connection) {
+        found = display;
+        return true;
+      }
+      return false;
+    });
+    return found;
+  };
+
+
+  /**
+   * Report a change to the list of displays or to their state
+   *
+   * @function
+   * @private
+   */
+  var reportDisplays = function () {
+    if (window.w3c_slidy.onpresentationdisplayschange) {
+      window.w3c_slidy.onpresentationdisplayschange(
+        window.w3c_slidy.getPresentationDisplays());
+    }
+  };
+
+
+  /**
+   * Report the given activity on the displays, e.g. to record it (see
+   * "onpresentationactivity")
+   *
+   * @function
+   * @private
+   * @param {Object} activity The activity, with its "type" and properties
+   */
+  var reportActivity = function (activity) {
+    if (window.w3c_slidy.onpresentationactivity) {
+      window.w3c_slidy.onpresentationactivity(activity);
+    }
+  };
+
+
+  /**
+   * Bring the given display to the slideshow and slide of the main display,
+   * typically because the display joined late or reconnected
+   *
+   * @function
+   * @private
+   * @param {Object} display The display to synchronize
+   */
+  var syncDisplay = function (display) {
+    var url = slideshowUrl;
+    display.needsSync = false;
+    display.loaded = false;
+    display.error = null;
+    var opened = (display.state && (display.state.url === url)) ?
+      Promise.resolve(display.state) :
+      display.rpc.call('open', [url], loadTimeout);
+    opened.then(function (state) {
+      if (url !== slideshowUrl) {
+        return;
+      }
+      display.loaded = true;
+      reportDisplays();
+
+      // Move to the current slide, then replay incremental steps
+      var target = currentPosition;
+      if (!target) {
+        return;
+      }
+      var steps = Promise.resolve();
+      if ((state.slideIndex !== target.slideIndex) || (state.step !== target.step)) {
+        steps = display.rpc.call('goto', [target.slideIndex]);
+        for (var step = 0; step < target.step; step++) {
+          steps = steps.then(function () {
+            return display.rpc.call('next', [true]);
+          });
+        }
+      }
+
+      // Cover commands toggle screens: sending the screen that covers the
+      // display uncovers it, sending another one switches to it
+      var cover = state.cover || null;
+      if (cover !== target.cover) {
+        steps = steps.then(function () {
+          return display.rpc.call(target.cover || cover,
+            (target.cover === 'pause') ? [target.coverMessage || ''] : []);
+        });
+      }
+      return steps;
+    }).catch(function (err) {
+      console.warn('Could not synchronize display: ' + err.message);
+      display.error = err;
+      reportDisplays();
+    });
+  };
+
+
+  /**
+   * Handles notifications received from the presentation connection of a
+   * display
+   *
+   * Only notifications from the main display are reported, except errors,
+   * which are reported with the "connection" of the display.
+   *
+   * @function
+   * @private
+   * @param {Object} display The display that sent the notification
+   * @param {Object} message The notification
+   */
+  var displayNotificationHandler = function (display, message) {
+    var isMain = (display === getMainDisplay());
+    if (message && (message.state !== undefined)) {
+      display.state = message.state;
+      if (isMain && message.state && display.loaded) {
+        currentPosition = {
+          slideIndex: message.state.slideIndex,
+          step: message.state.step,
+          cover: message.state.cover || null,
+          coverMessage: message.state.coverMessage || null
+        };
+        if (localPreview) {
+          localPreview.sync(currentPosition);
+        }
+      }
+      if (display.needsSync && slideshowUrl &&
+          (display.connection.state === 'connected')) {
+        syncDisplay(display);
+      }
+      reportDisplays();
+    }
+    if (isMain) {
+      notificationHandler(message, display);
+    }
+    else if (message && message.error) {
+      display.error = window.PresentationRpc.createError(
+        message.error, message.message, message.cmd);
+      reportDisplays();
+      notificationHandler({
+        error: message.error,
+        message: message.message,
+        cmd: message.cmd
+      }, display);
+    }
+  };
+
+
+  /**
+   * Handles notifications received from the main display
+   *
+   * The receiver reports the state of the slideshow whenever it changes.
+   * Replies to commands are handled by the request/response layer, but the
+   * receiver may also report errors that it cannot correlate with a command.
+   *
+   * @function
+   * @private
+   * @param {Object} message The notification
+   * @param {Object} display The display that sent the notification
+   */
+  var notificationHandler = function (message, display) {
+    if (message && (message.state !== undefined)) {
+      presentationState = message.state;
+      if (window.w3c_slidy.onpresentationstatechange) {
+        window.w3c_slidy.onpresentationstatechange(presentationState);
+      }
+    }
+    else if (message && (message.notes !== undefined)) {
+      presentationNotes = message.notes;
+      if (window.w3c_slidy.onpresentationnoteschange) {
+        window.w3c_slidy.onpresentationnoteschange(presentationNotes);
+      }
+    }
+    else if (message && (message.slides !== undefined)) {
+      presentationSlides = message.slides;
+      if (window.w3c_slidy.onpresentationslideschange) {
+        window.w3c_slidy.onpresentationslideschange(presentationSlides);
+      }
+    }
+    else if (message && (message.control !== undefined)) {
+      presentationControl = message.control;
+      if (window.w3c_slidy.onpresentationcontrolchange) {
+        window.w3c_slidy.onpresentationcontrolchange(presentationControl);
+      }
+    }
+    else if (message && (message.cover !== undefined)) {
+      presentationCover = message.cover;
+      if (window.w3c_slidy.onpresentationcoverchange) {
+        window.w3c_slidy.onpresentationcoverchange(presentationCover);
+      }
+    }
+    else if (message && (message.annotations !== undefined)) {
+      presentationAnnotations = message.annotations;
+      if (window.w3c_slidy.onpresentationannotationschange) {
+        window.w3c_slidy.onpresentationannotationschange(presentationAnnotations);
+      }
+    }
+    else if (message && (message.mirror !== undefined)) {
+      presentationMirror = message.mirror;
+      if (window.w3c_slidy.onpresentationmirrorchange) {
+        window.w3c_slidy.onpresentationmirrorchange(presentationMirror);
+      }
+    }
+    else if (message && message.stroke) {
+      mergeStroke(message.stroke);
+      if (window.w3c_slidy.onpresentationannotationschange) {
+        window.w3c_slidy.onpresentationannotationschange(presentationAnnotations);
+      }
+    }
+    else if (message && message.error) {
+      console.warn('Slidy receiver reported error' +
+        (message.cmd ? ' for "' + message.cmd + '"' : '') + ': ' +
+        message.error + ' (' + message.message + ')');
+      if (window.w3c_slidy.onpresentationerror) {
+        var err = window.PresentationRpc.createError(
+          message.error, message.message, message.cmd);
+        err.connection = display.connection;
+        window.w3c_slidy.onpresentationerror(err);
+      }
+    }
+  };
+
+
+  /**
+   * Add the points of a stroke reported by the receiver to the annotations
+   * of the current slide, starting the stroke if needed
+   *
+   * @function
+   * @private
+   * @param {Object} update The stroke with its "slideIndex" and the new
+   *  "points"
+   */
+  var mergeStroke = function (update) {
+    if (!presentationAnnotations ||
+        (presentationAnnotations.slideIndex !== update.slideIndex)) {
+      presentationAnnotations = { slideIndex: update.slideIndex, strokes: [] };
+    }
+    var stroke = null;
+    presentationAnnotations.strokes.some(function (candidate) {
+      if ((candidate.controllerId === update.controllerId) &&
+          (candidate.id === update.id)) {
+        stroke = candidate;
+        return true;
+      }
+      return false;
+    });
+    if (stroke) {
+      stroke.points = stroke.points.concat(update.points);
+    }
+    else {
+      presentationAnnotations.strokes.push({
+        id: update.id,
+        controllerId: update.controllerId,
+        tool: update.tool,
+        color: update.color,
+        points: update.points
+      });
+    }
+  };
+
+
+  /**
+   * Creates a display for the given presentation connection
+   *
+   * @function
+   * @private
+   * @param {PresentationConnection} connection The presentation connection
+   * @return {Object} The display
+   */
+  var createDisplay = function (connection) {
+    var display = {
+      connection: connection,
+      rpc: new window.PresentationRpc(connection),
+      state: null,
+      loaded: false,
+      needsSync: false,
+      error: null
+    };
+    display.rpc.onnotification = function (message) {
+      displayNotificationHandler(display, message);
+    };
+
+    // The receiver may have lost track of the slideshow while the
+    // connection was down
+    display.statechangeHandler = function () {
+      reportActivity({
+        type: 'connection',
+        display: connection.displayName || null,
+        state: connection.state
+      });
+      if (connection.state === 'connected') {
+        display.loaded = false;
+        display.needsSync = true;
+      }
+      else if (connection.state === 'terminated') {
+        window.w3c_slidy.removePresentationConnection(connection);
+        return;
+      }
+      reportDisplays();
+    };
+    connection.addEventListener('statechange', display.statechangeHandler);
+    return display;
+  };
+
+
+  /**
+   * Stops using the given display
+   *
+   * @function
+   * @private
+   * @param {Object} display The display
+   */
+  var closeDisplay = function (display) {
+    display.rpc.close();
+    display.connection.removeEventListener('statechange', display.statechangeHandler);
+  };
+
+
   /**
    * Binds Slidy commands to the given PresentationConnection
    *
    * All Slidy commands will be sent to that connection from now on, if
-   * possible (meaning if the connection is not "disconnected").
+   * possible (meaning if the connection is not "disconnected"). The
+   * connection replaces all displays that the remote controlled so far, use
+   * "addPresentationConnection" to add other displays.
    *
    * The presentation connection should run slidy receiver code to be able to
    * pass the commands it receives to its underlying slide show.
@@ -48,7 +505,18 @@
    * @param {PresentationConnection} connection The connection to control
    */
   window.w3c_slidy.bindToPresentationConnection = function (connection) {
-    presentationConnection = connection;
+    displays.forEach(closeDisplay);
+    displays = [createDisplay(connection)];
+    slideshowUrl = null;
+    currentPosition = null;
+    presentationState = null;
+    presentationNotes = null;
+    presentationSlides = null;
+    presentationControl = null;
+    presentationCover = null;
+    presentationAnnotations = null;
+    presentationMirror = null;
+    reportDisplays();
 
     this.add_listener(document, 'keydown', this.key_down);
     this.add_listener(document, 'keypress', this.key_press);
@@ -65,6 +533,18 @@
    * @function
    */
   window.w3c_slidy.closePresentation = function () {
+    displays.forEach(closeDisplay);
+    displays = [];
+    clearTimeout(overlayTimer);
+    overlayTimer = null;
+    pendingPointer = null;
+    activeStroke = null;
+    slideshowUrl = null;
+    currentPosition = null;
+    if (localPreview) {
+      localPreview.close();
+    }
+    reportDisplays();
     document.removeEventListener('keydown', this.key_down);
     document.removeEventListener('keypress', this.key_press);
     document.removeEventListener('gesturechange', gesturechangeHandler);
@@ -75,76 +555,810 @@
 
 
   /**
-   * Loads the slideshow at the given URL
+   * Adds the given presentation connection to the displays that the Slidy
+   * remote controls (see "bindToPresentationConnection" for the first one).
+   *
+   * Displays run the same slideshow in lockstep: slideshow commands are sent
+   * to all of them. A display that joins late, or whose connection comes
+   * back, is brought to the current slide of the main display.
+   *
+   * @function
+   * @param {PresentationConnection} connection The connection to add
+   */
+  window.w3c_slidy.addPresentationConnection = function (connection) {
+    if (findDisplay(connection)) {
+      return;
+    }
+    var display = createDisplay(connection);
+    display.needsSync = true;
+    displays.push(display);
+    reportDisplays();
+  };
+
+
+  /**
+   * Removes the given presentation connection from the displays that the
+   * Slidy remote controls. The connection itself is left untouched.
+   *
+   * @function
+   * @param {PresentationConnection} connection The connection to remove
+   */
+  window.w3c_slidy.removePresentationConnection = function (connection) {
+    var display = findDisplay(connection);
+    if (!display) {
+      return;
+    }
+    closeDisplay(display);
+    displays = displays.filter(function (candidate) {
+      return candidate !== display;
+    });
+    reportDisplays();
+  };
+
+
+  /**
+   * Returns the displays that the Slidy remote controls, main display first
+   *
+   * Each display is described with its presentation "connection", the
+   * "name" of the display if known, whether it runs the slideshow
+   * ("loaded"), the last "state" of the slideshow it reported (see
+   * "getPresentationState"), whether it is the "main" display, and the last
+   * "error" it reported, if any.
+   *
+   * @function
+   * @return {Array(Object)} The displays
+   */
+  window.w3c_slidy.getPresentationDisplays = function () {
+    var main = getMainDisplay();
+    return displays.map(function (display) {
+      return {
+        connection: display.connection,
+        name: display.connection.displayName || null,
+        loaded: display.loaded,
+        state: display.state,
+        main: display === main,
+        error: display.error
+      };
+    }).sort(function (a, b) {
+      return (a.main === b.main) ? 0 : (a.main ? -1 : 1);
+    });
+  };
+
+
+  /**
+   * Function called with the list of displays whenever a display is added
+   * or removed, or changes state (see "getPresentationDisplays")
+   *
+   * @type {function}
+   */
+  window.w3c_slidy.onpresentationdisplayschange = null;
+
+
+  /**
+   * Returns the last state of the slideshow reported by the receiver
+   *
+   * The state contains the slide "framework" that the slideshow uses (see
+   * "DeckBridge.adapters" in deck-bridge.js), the "commands" that the
+   * framework supports, the "slideIndex" (starting at 0), the "slideCount",
+   * the "title" of the current slide, the incremental "step" (0 when no
+   * incremental item is shown yet) and "stepCount" of the current slide,
+   * the "fontSize", whether the table of contents is visible
+   * ("tocVisible"), whether the toolbar is visible ("toolbarVisible"),
+   * whether all slides are shown ("overview"), the time budget of each slide
+   * in seconds ("durations", null for slides without budget), the "url"
+   * of the slideshow and the screen that covers it ("cover", "blackout",
+   * "whiteout", "pause" or null).
+   *
+   * @function
+   * @return {Object} The state, null if no state was reported or if no
+   *  slideshow is loaded
+   */
+  window.w3c_slidy.getPresentationState = function () {
+    return presentationState;
+  };
+
+
+  /**
+   * Function called with the new state of the slideshow whenever the
+   * receiver reports a change (see "getPresentationState")
+   *
+   * @type {function}
+   */
+  window.w3c_slidy.onpresentationstatechange = null;
+
+
+  /**
+   * Returns the speaker notes of the current slide reported by the receiver
+   *
+   * The notes contain the "slideIndex" they belong to and their "text", an
+   * empty string when the slide has no notes.
+   *
+   * @function
+   * @return {Object} The notes, null if no notes were reported or if no
+   *  slideshow is loaded
+   */
+  window.w3c_slidy.getPresentationNotes = function () {
+    return presentationNotes;
+  };
+
+
+  /**
+   * Function called with the speaker notes of the current slide whenever the
+   * receiver reports them (see "getPresentationNotes")
+   *
+   * @type {function}
+   */
+  window.w3c_slidy.onpresentationnoteschange = null;
+
+
+  /**
+   * Returns the titles of the slides of the slideshow reported by the
+   * receiver, in order. Slides without heading have an empty title.
+   *
+   * @function
+   * @return {Array(String)} The titles, null if no slideshow is loaded
+   */
+  window.w3c_slidy.getPresentationSlides = function () {
+    return presentationSlides;
+  };
+
+
+  /**
+   * Function called with the titles of the slides whenever the receiver
+   * reports them (see "getPresentationSlides")
+   *
+   * @type {function}
+   */
+  window.w3c_slidy.onpresentationslideschange = null;
+
+
+  /**
+   * Function called with errors that the receiver reports outside of any
+   * command, e.g. when the slideshow navigates to a page that cannot be
+   * controlled. The error has a "code" property (see "loadSlideshow").
+   *
+   * @type {function}
+   */
+  window.w3c_slidy.onpresentationerror = null;
+
+
+  /**
+   * Returns who is in control of the slideshow, as last reported by the
+   * receiver. Several remotes may be connected to the same slideshow, only
+   * the one in control may run slideshow commands.
+   *
+   * The returned object contains the ID of this remote ("you"), the ID and
+   * name of the remote in control ("controllerId" and "controllerName", null
+   * when no remote is in control), the list of connected remotes
+   * ("controllers") and the list of remotes that requested control
+   * ("requests"), each with an "id" and a "name".
+   *
+   * @function
+   * @return {Object} Who is in control, null if the receiver has not reported
+   *  it yet
+   */
+  window.w3c_slidy.getPresentationControl = function () {
+    return presentationControl;
+  };
+
+
+  /**
+   * Function called whenever the receiver reports a change of control or
+   * of the list of connected remotes (see "getPresentationControl")
+   *
+   * @type {function}
+   */
+  window.w3c_slidy.onpresentationcontrolchange = null;
+
+
+  /**
+   * Returns the annotations of the current slide, as last reported by the
+   * receiver. The returned object contains the "slideIndex" of the current
+   * slide and its "strokes" (see annotation-layer.js), each stroke with the
+   * ID of the remote that drew it ("controllerId", see
+   * "getPresentationControl").
+   *
+   * @function
+   * @return {Object} The annotations of the current slide, null if the
+   *  receiver has not reported them yet
+   */
+  window.w3c_slidy.getPresentationAnnotations = function () {
+    return presentationAnnotations;
+  };
+
+
+  /**
+   * Function called whenever annotations of the current slide change,
+   * including when the presenter moves to another slide (see
+   * "getPresentationAnnotations")
+   *
+   * @type {function}
+   */
+  window.w3c_slidy.onpresentationannotationschange = null;
+
+
+  /**
+   * Returns a copy of the current slide as the audience sees it and of the
+   * upcoming slide, as last reported by the receiver whenever the slide or
+   * incremental step changes.
+   *
+   * The returned object contains the "slideIndex" and incremental "step" of
+   * the current slide, the "background" color of the slideshow, and the
+   * "current" and "next" slides, null when there is no such slide or when
+   * the slide is too large to be copied. Slides have an "html" fragment
+   * with inlined styles and absolute URLs, to be rendered in a sandboxed
+   * frame, and the "width" and "height" of the slide in pixels.
+   *
+   * @function
+   * @return {Object} The copy of the slides, null if the receiver has not
+   *  reported it yet or if no slideshow is loaded
+   */
+  window.w3c_slidy.getPresentationMirror = function () {
+    return presentationMirror;
+  };
+
+
+  /**
+   * Function called whenever the copy of the current and upcoming slides
+   * changes (see "getPresentationMirror")
+   *
+   * @type {function}
+   */
+  window.w3c_slidy.onpresentationmirrorchange = null;
+
+
+  /**
+   * Sends a control command to the receiver:
+   * - "request_control": ask for control, granted right away if no remote is
+   * in control. Resolves with true if this remote is in control.
+   * - "release_control": give up control, to the first remote that requested
+   * it if any
+   * - "grant_control(controllerId)": give control to the given remote
+   * - "deny_control(controllerId)": drop the request of the given remote
+   * - "set_name(name)": set the name under which this remote appears on
+   * other remotes
+   *
+   * Control commands do not require a slideshow to be loaded. All commands
+   * but "request_control" and "set_name" are rejected with a
+   * "not-in-control" error if this remote is not in control.
+   *
+   * Control commands only go to the main display.
+   *
+   * @function
+   * @param {String} cmd The name of the control command
+   * @param {Array} params The parameters of the command, if any
+   * @return {Promise} The promise to get the result of the command
+   */
+  window.w3c_slidy.sendControlCommand = function (cmd, params) {
+    var main = getMainDisplay();
+    if (!main) {
+      return Promise.reject(window.PresentationRpc.createError('not-connected',
+        'No presentation connection to control', cmd));
+    }
+    return main.rpc.call(cmd, params);
+  };
+
+
+  /**
+   * Finds the slide that matches the given query among the slides reported
+   * by the receiver. The query may be:
+   * - a slide number, starting at 1 (e.g. "7")
+   * - a Slidy anchor (e.g. "#(7)" or "(7)")
+   * - a slide title, or part of it (case insensitive). Exact matches win.
+   *
+   * Use "goto_slide" (or the "goto" command) with the returned index to
+   * jump to the slide.
+   *
+   * @function
+   * @param {String} query The slide to look for
+   * @return {Number} The index of the slide (starting at 0), -1 if no slide
+   *  matches the query
+   */
+  window.w3c_slidy.findSlide = function (query) {
+    var slides = presentationSlides || [];
+    var match = null;
+    var index = -1;
+    query = String(query).trim();
+
+    match = query.match(/^#?\(?(\d+)\)?$/);
+    if (match) {
+      index = parseInt(match[1], 10) - 1;
+      return ((index >= 0) && (index < slides.length)) ? index : -1;
+    }
+
+    query = query.toLowerCase();
+    if (!query) {
+      return -1;
+    }
+    index = slides.map(function (title) {
+      return title.toLowerCase();
+    }).indexOf(query);
+    if (index === -1) {
+      slides.some(function (title, idx) {
+        if (title.toLowerCase().indexOf(query) !== -1) {
+          index = idx;
+          return true;
+        }
+        return false;
+      });
+    }
+    return index;
+  };
+
+
+  /**
+   * Loads the slideshow at the given URL on all displays
+   *
+   * Slideshow commands are rejected until the receiver of the main display
+   * reports that the slideshow is loaded. Other displays join the slideshow
+   * as soon as their receiver loads it (see "getPresentationDisplays" for
+   * their status).
    *
    * @function
    * @param {String} url URL of the slide show to load onto the presentation
-   *  connection
+   *  connections
+   * @return {Promise} The promise to get the state of the slideshow once
+   *  loaded on the main display. The promise is rejected with an error
+   *  whose "code" tells what went wrong: "deck-not-found",
+   *  "deck-unsupported", "deck-cross-origin" or "deck-load-failed" when the
+   *  receiver could not load the slideshow, "not-in-control" when another
+   *  remote is in control of a different slideshow (remotes that load the
+   *  running slideshow join it), or one of the codes of the
+   *  request/response layer (see presentation-rpc.js)
    */
   window.w3c_slidy.loadSlideshow = function (url) {
-    slideshowLoaded = false;
-    if (presentationConnection && (presentationConnection.state === 'connected')) {
-      presentationConnection.send({
-        cmd: 'open',
-        url: url
-      });
-      slideshowLoaded = true;
+    var main = getMainDisplay();
+    if (!main) {
+      console.warn('No presentation connection to control, ' +
+        'cannot load slideshow at "' + url + '"');
+      return Promise.reject(window.PresentationRpc.createError('not-connected',
+        'No presentation connection to control', 'open'));
+    }
+    slideshowUrl = url;
+    currentPosition = null;
+    reportActivity({ type: 'load', url: url });
+    if (localPreview) {
+      localPreview.open(url);
+    }
+    displays.forEach(function (display) {
+      display.loaded = false;
+      display.error = null;
+      display.needsSync = (display !== main);
+      if ((display !== main) && (display.connection.state === 'connected')) {
+        syncDisplay(display);
+      }
+    });
+    reportDisplays();
+
+    return main.rpc.call('open', [url], loadTimeout).then(function (state) {
+      if (url === slideshowUrl) {
+        main.loaded = true;
+        reportDisplays();
+      }
+      return state;
+    }, function (err) {
+      console.warn('Could not load slideshow at "' + url + '": ' + err.message);
+      main.error = err;
+      reportDisplays();
+      throw err;
+    });
+  };
+
+
+  /**
+   * Resumes control of the slideshow at the given URL, already loaded by the
+   * presentation connection (typically after a reload of the remote)
+   *
+   * @function
+   * @param {String} url URL of the slide show running on the presentation
+   *  connection
+   */
+  window.w3c_slidy.resumeSlideshow = function (url) {
+    var main = getMainDisplay();
+    slideshowUrl = url;
+    reportActivity({ type: 'load', url: url });
+    if (localPreview) {
+      localPreview.open(url);
+    }
+    if (main && (main.connection.state === 'connected')) {
+      console.info('Resuming control of slideshow at "' + url + '"');
+      main.loaded = true;
+      main.needsSync = false;
+      reportDisplays();
     }
     else {
       console.warn('No presentation connection to control, ' +
-        'cannot load slideshow at "' + url + '"');
+        'cannot resume slideshow at "' + url + '"');
     }
   };
 
 
+  /**
+   * Sends a framework-neutral command to the slideshow on all displays (see
+   * "DeckBridge.commands" in deck-bridge.js). The "commands" property of
+   * the state lists the commands that the slide framework supports.
+   *
+   * @function
+   * @param {String} cmd The name of the command
+   * @param {Array} params The parameters of the command, if any
+   * @return {Promise} The promise to get the state of the slideshow once the
+   *  receiver of the main display has run the command. The promise is
+   *  rejected with the error reported by that receiver, e.g.
+   *  "unsupported-command" when the slide framework does not support the
+   *  command. Errors on other displays are reported through
+   *  "getPresentationDisplays".
+   */
+  window.w3c_slidy.sendPresentationCommand = function (cmd, params) {
+    var main = getMainDisplay();
+    var call = null;
+    if (main && main.loaded) {
+      reportActivity({ type: 'command', cmd: cmd, params: params || [] });
+      call = main.rpc.call(cmd, params);
+      displays.forEach(function (display) {
+        if ((display === main) || !display.loaded ||
+            (display.connection.state !== 'connected')) {
+          return;
+        }
+        display.rpc.call(cmd, params).then(function () {
+          if (display.error) {
+            display.error = null;
+            reportDisplays();
+          }
+        }, function (err) {
+          console.warn('Slideshow command "' + cmd + '" failed on display "' +
+            (display.connection.displayName || display.connection.id) + '": ' +
+            err.message);
+          display.error = err;
+          reportDisplays();
+        });
+      });
+      if (localPreview) {
+        localPreview.run(cmd, params);
+      }
+    }
+    else {
+      call = Promise.reject(window.PresentationRpc.createError(
+        main ? 'no-slideshow' : 'not-connected',
+        'No slideshow to control', cmd));
+    }
+
+    // Log failures even when the caller ignores the returned promise
+    call.catch(function (err) {
+      console.warn('Slideshow command "' + cmd + '" failed: ' + err.message);
+    });
+    return call;
+  };
+
+
+  /**
+   * Function called with the activity on the displays, e.g. to record a
+   * rehearsal of the talk (see session-recorder.js). Activities have a
+   * "type":
+   * - "load": a slideshow was loaded (or resumed) at the given "url"
+   * - "command": the slideshow command "cmd" was sent to the displays with
+   * the given "params" (see "sendPresentationCommand")
+   * - "connection": the connection of the display named "display" (null if
+   * unknown) changed to the given "state"
+   *
+   * @type {function}
+   */
+  window.w3c_slidy.onpresentationactivity = null;
+
+
+  /**
+   * Covers the slideshow on all displays with a black, white or pause
+   * screen, or uncovers it if that screen already covers it. Unlike other
+   * slideshow commands, this works while the slideshow loads or when it
+   * could not be loaded, on the displays that are connected.
+   *
+   * @function
+   * @param {String} type The screen, "blackout", "whiteout" or "pause"
+   * @param {String} message The message shown on the pause screen, if any
+   * @return {Promise} The promise to get the screen that now covers the
+   *  slideshow on the main display, null if none
+   */
+  window.w3c_slidy.toggleCover = function (type, message) {
+    var main = getMainDisplay();
+    var params = message ? [message] : [];
+    if (!main || (main.connection.state !== 'connected')) {
+      return Promise.reject(window.PresentationRpc.createError('not-connected',
+        'No presentation connection to control', type));
+    }
+    reportActivity({ type: 'command', cmd: type, params: params });
+
+    // Displays that still have to load the slideshow get covered when they
+    // are brought to the current slide (see "syncDisplay")
+    displays.forEach(function (display) {
+      if ((display === main) || !display.loaded ||
+          (display.connection.state !== 'connected')) {
+        return;
+      }
+      display.rpc.call(type, params).catch(function (err) {
+        console.warn('Could not cover display: ' + err.message);
+      });
+    });
+
+    var call = main.rpc.call(type, params);
+    call.catch(function (err) {
+      console.warn('Command "' + type + '" failed: ' + err.message);
+    });
+    return call;
+  };
+
+
+  /**
+   * Returns the screen that covers the slideshow, as last reported by the
+   * receiver: "blackout", "whiteout", "pause", or null when the audience
+   * sees the slideshow. The slideshow may be covered even when no slideshow
+   * is loaded.
+   *
+   * @function
+   * @return {String} The screen that covers the slideshow, null if none
+   */
+  window.w3c_slidy.getPresentationCover = function () {
+    return presentationCover;
+  };
+
+
+  /**
+   * Function called whenever the screen that covers the slideshow changes
+   * (see "getPresentationCover")
+   *
+   * @type {function}
+   */
+  window.w3c_slidy.onpresentationcoverchange = null;
+
+
+  /**
+   * Shows the slideshow on this device as well, in a local preview that
+   * runs the slideshow commands sent to the displays and follows the slide
+   * and incremental step that the main display reports (see
+   * local-preview.js), or stops doing so.
+   *
+   * @function
+   * @param {LocalPreview} preview The local preview, null to disable it
+   */
+  window.w3c_slidy.setLocalPreview = function (preview) {
+    if (localPreview && (localPreview !== preview)) {
+      localPreview.close();
+    }
+    localPreview = preview;
+    if (localPreview && slideshowUrl) {
+      localPreview.open(slideshowUrl);
+      if (currentPosition) {
+        localPreview.sync(currentPosition);
+      }
+    }
+  };
+
+
+  /**
+   * Send the given laser pointer or drawing command to all displays that
+   * run the slideshow. These commands are sent without correlation id:
+   * receivers do not reply to them, and there is no point retrying an
+   * update that got lost as the next one is already on its way.
+   *
+   * @function
+   * @private
+   * @param {String} cmd The name of the command
+   * @param {Array} params The parameters of the command, if any
+   */
+  var sendOverlayCommand = function (cmd, params) {
+    var message = { cmd: cmd };
+    if (params && (params.length > 0)) {
+      message.params = params;
+    }
+    displays.forEach(function (display) {
+      if (display.loaded) {
+        display.rpc.notify(message);
+      }
+    });
+  };
+
+
+  /**
+   * Send the pending position of the laser pointer and the pending points
+   * of the stroke being drawn, and keep sending updates at most every
+   * "overlayInterval" milliseconds while the presenter moves the pointer
+   * or draws
+   *
+   * @function
+   * @private
+   */
+  var flushOverlay = function () {
+    overlayTimer = null;
+    var hasStrokePoints = activeStroke && (activeStroke.pending.length > 0);
+    if (!pendingPointer && !hasStrokePoints) {
+      return;
+    }
+    if (pendingPointer) {
+      sendOverlayCommand('pointer', pendingPointer);
+      pendingPointer = null;
+    }
+    if (hasStrokePoints) {
+      sendOverlayCommand('stroke', [activeStroke.id, activeStroke.tool,
+        activeStroke.color, activeStroke.pending]);
+      activeStroke.pending = [];
+    }
+    overlayTimer = setTimeout(flushOverlay, overlayInterval);
+  };
+
+
+  /**
+   * Moves the laser pointer on all displays to the given position,
+   * expressed as fractions of the width and height of the slideshow.
+   *
+   * Positions are throttled not to flood the presentation connection:
+   * positions set in quick succession replace each other and only the last
+   * one is sent.
+   *
+   * @function
+   * @param {Number} x Horizontal position, between 0 (left) and 1 (right)
+   * @param {Number} y Vertical position, between 0 (top) and 1 (bottom)
+   */
+  window.w3c_slidy.movePointer = function (x, y) {
+    pendingPointer = [
+      Math.min(Math.max(x, 0), 1),
+      Math.min(Math.max(y, 0), 1)
+    ];
+    if (!overlayTimer) {
+      flushOverlay();
+    }
+  };
+
+
+  /**
+   * Hides the laser pointer on all displays
+   *
+   * @function
+   */
+  window.w3c_slidy.hidePointer = function () {
+    pendingPointer = null;
+    sendOverlayCommand('hide_pointer');
+  };
+
+
+  /**
+   * Starts drawing a stroke on the current slide of all displays. Points
+   * are then added with "continueStroke" and the stroke is over with
+   * "endStroke" (see annotation-layer.js for the format of strokes).
+   *
+   * @function
+   * @param {String} tool The drawing tool, "pen", "highlighter" or "eraser"
+   * @param {String} color The color of the stroke ("#rrggbb")
+   * @return {String} The ID of the stroke
+   */
+  window.w3c_slidy.beginStroke = function (tool, color) {
+    window.w3c_slidy.endStroke();
+    strokeCount += 1;
+    activeStroke = {
+      id: 'stroke-' + strokeCount,
+      tool: tool,
+      color: color,
+      pending: [],
+      last: null
+    };
+    return activeStroke.id;
+  };
+
+
+  /**
+   * Adds a point to the stroke being drawn, expressed as fractions of the
+   * width and height of the slideshow.
+   *
+   * Points are sent in batches not to flood the presentation connection.
+   *
+   * @function
+   * @param {Number} x Horizontal position, between 0 (left) and 1 (right)
+   * @param {Number} y Vertical position, between 0 (top) and 1 (bottom)
+   */
+  window.w3c_slidy.continueStroke = function (x, y) {
+    if (!activeStroke) {
+      return;
+    }
+    var point = window.AnnotationLayer.toPoint(x, y);
+    var last = activeStroke.last;
+    if (last && (last[0] === point[0]) && (last[1] === point[1])) {
+      return;
+    }
+    activeStroke.last = point;
+    activeStroke.pending = activeStroke.pending.concat(point);
+    if (!overlayTimer) {
+      flushOverlay();
+    }
+  };
+
+
+  /**
+   * Ends the stroke being drawn, sending its last points right away
+   *
+   * @function
+   */
+  window.w3c_slidy.endStroke = function () {
+    if (!activeStroke) {
+      return;
+    }
+    if (activeStroke.pending.length > 0) {
+      sendOverlayCommand('stroke', [activeStroke.id, activeStroke.tool,
+        activeStroke.color, activeStroke.pending]);
+    }
+    activeStroke = null;
+  };
+
+
+  /**
+   * Clears annotations on all displays
+   *
+   * @function
+   * @param {Boolean} all Clear annotations of all slides, and not only
+   *  those of the current slide
+   * @return {Promise} The promise that annotations were cleared on the main
+   *  display
+   */
+  window.w3c_slidy.clearAnnotations = function (all) {
+    window.w3c_slidy.endStroke();
+    return window.w3c_slidy.sendPresentationCommand('clear_annotations', [!!all]);
+  };
+
+
+  /**
+   * Retrieves the annotations of all slides from the main display, e.g. to
+   * export them at the end of the talk
+   *
+   * @function
+   * @return {Promise} The promise to get the "url" of the slideshow and the
+   *  annotated "slides", each with a "slideIndex" and "strokes"
+   */
+  window.w3c_slidy.getAnnotations = function () {
+    var main = getMainDisplay();
+    if (!main) {
+      return Promise.reject(window.PresentationRpc.createError('not-connected',
+        'No presentation connection to control', 'get_annotations'));
+    }
+    return main.rpc.call('get_annotations');
+  };
+
+
   /**
    * Prepare a function that turns a regular Slidy command into a command sent
    * to the presentation connection controlled by this Slidy remote, if
    * possible
    *
    * @function
-   * @param {String} cmd The Slidy command to convert
+   * @param {String} cmd The framework-neutral command that corresponds to
+   *  the Slidy command
    * @return {function} The Slidy function that should replace the default one.
    *   When called, that function sends the appropriate command to the
-   *   underlying presentation connection
+   *   underlying presentation connection and returns a promise that resolves
+   *   with the state of the slideshow once the receiver has run the command,
+   *   or rejects with the error reported by the receiver
    */
   var toPresentationCommand = function (cmd) {
     return function () {
-      var message = {
-        cmd: cmd
-      };
-      if (arguments.length > 0) {
-        message.params = Array.prototype.slice.call(arguments);
-      }
-      if (presentationConnection &&
-          (presentationConnection.state === 'connected') &&
-          slideshowLoaded) {
-        presentationConnection.send(message);
-      }
-      else {
-        console.warn('No presentation connection to control, ' +
-          'cannot send Slidy command "' + cmd + '"');
-      }
+      return window.w3c_slidy.sendPresentationCommand(cmd,
+        Array.prototype.slice.call(arguments));
     };
   };
 
 
   // Overwrite commands of local Slidy instance to hit the presentation.
-  [
-    'hide_table_of_contents',
-    'next_slide',
-    'previous_slide',
-    'first_slide',
-    'last_slide',
-    'fold',
-    'unfold',
-    'smaller',
-    'bigger',
-    'toggle_toolbar',
-    'toggle_view',
-    'toggle_table_of_contents'
-  ].forEach(function (cmd) {
-    window.w3c_slidy[cmd] = toPresentationCommand(cmd);
+  // Note "fold" and "unfold" take DOM elements and are not supported by the
+  // receiver.
+  var slidyCommands = {
+    hide_table_of_contents: 'hide_toc',
+    next_slide: 'next',
+    previous_slide: 'previous',
+    first_slide: 'first',
+    last_slide: 'last',
+    smaller: 'smaller',
+    bigger: 'bigger',
+    toggle_toolbar: 'toggle_toolbar',
+    toggle_view: 'toggle_overview',
+    toggle_table_of_contents: 'toggle_toc',
+    goto_slide: 'goto'
+  };
+  Object.keys(slidyCommands).forEach(function (name) {
+    window.w3c_slidy[name] = toPresentationCommand(slidyCommands[name]);
   });
 
   window.w3c_slidy.initialized = true;
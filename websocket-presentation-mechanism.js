@@ -0,0 +1,585 @@
+/**
+ * @fileOverview Presentation mechanism for the Presentation API shim that
+ * relies on a WebSocket relay server (see relay-server.js) to connect
+ * controlling and receiving browsing contexts that run on different devices,
+ * e.g. a phone that controls a slide show running on the PC attached to the
+ * projector.
+ *
+ * Receiving pages register themselves with the relay as named displays.
+ * Controlling pages get the list of registered displays from the relay and
+ * exchange messages with the display the user selects through the relay.
+ *
+ * The mechanism is configured through properties set on "navigator" before
+ * this script is loaded (and after the shim has been loaded):
+ * - navigator.presentationRelayUrl: the URL of the relay server, e.g.
+ * "ws://192.168.1.10:8080". The mechanism is not registered if not set.
+ * - navigator.presentationDisplayName: the name under which the page
+ * registers itself as a display. Only set that property on receiving pages.
+ *
+ * Receiving pages can only present their own URL: the mechanism reports a
+ * display as compatible with a presentation URL if the display runs that URL
+ * (query string and fragment excluded).
+ *
+ * Messages exchanged with the relay are JSON objects with a "type" property:
+ * - relay to client: "welcome" (with the client "id"), "displays" (with the
+ * list of registered "displays")
+ * - display to relay: "register" (with "name" and "url")
+ * - controller to relay: "subscribe", "connect" (with "to"), "terminate"
+ * (with "to")
+ * - display to relay: "connected" (with "to"), "terminated"
+ * - both ways: "message" (with "to" and "data"), "close" (with "to", "reason"
+ * and "message")
+ * The relay adds a "from" property with the ID of the sender when it
+ * forwards a message.
+ */
+(function () {
+  if (!navigator.w3cPresentation || !navigator.w3cPresentation.extend) {
+    console.error('Presentation API shim must be loaded before the ' +
+      'WebSocket presentation mechanism');
+    return;
+  }
+
+  var extend = navigator.w3cPresentation.extend;
+  var log = extend.log;
+  var _DOMException = extend._DOMException;
+  var normalizeUrl = extend.normalizeUrl;
+
+  /**
+   * Time to wait for a display to answer a connection request through the
+   * relay, in milliseconds
+   */
+  var answerTimeout = 10000;
+
+
+  /**********************************************************************
+  RelayClient
+  **********************************************************************/
+
+  /**
+   * Client connection to the WebSocket relay server
+   *
+   * The client re-opens the socket when it gets closed, and queues messages
+   * sent while the socket is not open.
+   *
+   * @constructor
+   * @private
+   * @param {String} relayUrl The URL of the relay server
+   */
+  var RelayClient = function (relayUrl) {
+    var that = this;
+    var socket = null;
+    var pendingMessages = [];
+    var retryDelay = 1000;
+
+    /**
+     * The ID that the relay assigned to this client, null when the socket
+     * is not open
+     *
+     * @type {String}
+     */
+    this.id = null;
+
+    /**
+     * Handlers of messages received from the relay, indexed by message type
+     *
+     * @type {Object}
+     */
+    this.handlers = {};
+
+    /**
+     * Function called each time the relay welcomes the client, meaning
+     * after the socket has been (re-)opened
+     *
+     * @type {function}
+     */
+    this.onwelcome = null;
+
+    /**
+     * Function called when the socket gets closed
+     *
+     * @type {function}
+     */
+    this.onsocketclose = null;
+
+
+    /**
+     * Open the socket to the relay server, if not already done
+     *
+     * @function
+     */
+    this.open = function () {
+      if (socket) {
+        return;
+      }
+      log('connect to relay server', relayUrl);
+      try {
+        socket = new WebSocket(relayUrl);
+      }
+      catch (err) {
+        log('error', 'could not connect to relay server', relayUrl, err);
+        return;
+      }
+
+      socket.onmessage = function (event) {
+        var message = null;
+        try {
+          message = JSON.parse(event.data);
+        }
+        catch (err) {
+          log('warn', 'received invalid message from relay server', event.data);
+          return;
+        }
+        if (message.type === 'welcome') {
+          log('connected to relay server', 'client id is', message.id);
+          that.id = message.id;
+          retryDelay = 1000;
+          pendingMessages.forEach(function (pending) {
+            socket.send(JSON.stringify(pending));
+          });
+          pendingMessages = [];
+          if (that.onwelcome) {
+            that.onwelcome();
+          }
+        }
+        else if (that.handlers.hasOwnProperty(message.type)) {
+          that.handlers[message.type](message);
+        }
+      };
+
+      socket.onclose = function () {
+        log('warn', 'connection to relay server closed',
+          'retry in ' + retryDelay + 'ms');
+        socket = null;
+        that.id = null;
+        if (that.onsocketclose) {
+          that.onsocketclose();
+        }
+        setTimeout(that.open, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, 30000);
+      };
+    };
+
+
+    /**
+     * Send a message to the relay server, queueing it if the socket is not
+     * open yet
+     *
+     * @function
+     * @param {Object} message The message to send
+     */
+    this.send = function (message) {
+      if (socket && that.id && (socket.readyState === WebSocket.OPEN)) {
+        socket.send(JSON.stringify(message));
+      }
+      else {
+        pendingMessages.push(message);
+        that.open();
+      }
+    };
+  };
+
+
+
+
+  /**********************************************************************
+  WebSocketRemoteController
+  **********************************************************************/
+
+  /**
+   * A controlling browsing context that connected to this display through
+   * the relay
+   *
+   * @constructor
+   * @private
+   * @inherits {RemoteController}
+   * @param {RelayClient} relay The client connection to the relay server
+   * @param {String} controllerId The relay ID of the controlling context
+   * @param {Object} channels Channels with controllers, indexed by relay ID
+   */
+  var WebSocketRemoteController = function (relay, controllerId, channels) {
+    extend.RemoteController.call(this);
+
+    this.createDataChannel = function () {
+      return new Promise(function (resolve, reject) {
+        var channel = new extend.DataChannel();
+        channel.state = 'connected';
+        channels[controllerId] = channel;
+
+        channel.send = function (message) {
+          if (channel.state !== 'connected') {
+            throw new _DOMException('InvalidStateError');
+          }
+          log('send message to controller through relay', message);
+          relay.send({ type: 'message', to: controllerId, data: message });
+        };
+
+        channel.close = function (reason, message) {
+          if (channel.state !== 'connected') {
+            return;
+          }
+          log('send close message to controller through relay');
+          relay.send({
+            type: 'close',
+            to: controllerId,
+            reason: reason || 'closed',
+            message: message || ''
+          });
+          delete channels[controllerId];
+          channel.markClosed(reason, message);
+        };
+
+        log('tell controller that connection is ready', controllerId);
+        relay.send({ type: 'connected', to: controllerId });
+        resolve(channel);
+      });
+    };
+
+    this.terminate = function () {
+      log('terminate presentation', 'reload receiving page');
+      relay.send({ type: 'terminated' });
+      window.location.reload();
+    };
+  };
+
+
+
+
+  /**********************************************************************
+  WebSocketDisplay
+  **********************************************************************/
+
+  /**
+   * A display registered with the relay
+   *
+   * @constructor
+   * @private
+   * @inherits {Display}
+   * @param {RelayClient} relay The client connection to the relay server
+   * @param {id:String, name:String, url:String} info Display information
+   * reported by the relay
+   * @param {Object} channels Channels with displays, indexed by relay ID
+   */
+  var WebSocketDisplay = function (relay, info, channels) {
+    extend.Display.call(this, info.name);
+
+    /**
+     * The relay ID of the display
+     *
+     * @type {String}
+     */
+    this.id = info.id;
+
+    this.canPresent = function (url) {
+      return normalizeUrl(url) === info.url;
+    };
+
+    this.navigate = function (url) {
+      return new Promise(function (resolve, reject) {
+        // The display already runs the receiving page
+        if (normalizeUrl(url) === info.url) {
+          resolve();
+        }
+        else {
+          reject(new _DOMException('OperationError'));
+        }
+      });
+    };
+
+    this.createDataChannel = function () {
+      return new Promise(function (resolve, reject) {
+        var channel = new extend.DataChannel();
+
+        channel.send = function (message) {
+          if (channel.state !== 'connected') {
+            throw new _DOMException('InvalidStateError');
+          }
+          log('send message to display through relay', message);
+          relay.send({ type: 'message', to: info.id, data: message });
+        };
+
+        channel.close = function (reason, message) {
+          if (channel.state !== 'connected') {
+            return;
+          }
+          log('send close message to display through relay');
+          relay.send({
+            type: 'close',
+            to: info.id,
+            reason: reason || 'closed',
+            message: message || ''
+          });
+          delete channels[info.id];
+          channel.markClosed(reason, message);
+        };
+
+        // The relay or the display may not answer at all
+        var timeout = setTimeout(function () {
+          log('warn', 'display did not answer connection request', info.id);
+          channel.onconnected = null;
+          channel.onconnectionerror = null;
+          delete channels[info.id];
+          reject(new _DOMException('OperationError',
+            'The display did not answer'));
+        }, answerTimeout);
+
+        // Resolved when the display replies with a "connected" message
+        channel.onconnected = function () {
+          clearTimeout(timeout);
+          channel.state = 'connected';
+          resolve(channel);
+        };
+
+        // Rejected when the relay cannot reach the display
+        channel.onconnectionerror = function (message) {
+          clearTimeout(timeout);
+          delete channels[info.id];
+          reject(new _DOMException('OperationError', message));
+        };
+
+        channels[info.id] = channel;
+        log('ask display to connect through relay', info.id);
+        relay.send({ type: 'connect', to: info.id });
+      });
+    };
+
+    this.getIdentity = function () {
+      return { displayId: info.id };
+    };
+
+    this.terminate = function () {
+      log('terminate presentation on display', info.id);
+      delete channels[info.id];
+      relay.send({ type: 'terminate', to: info.id });
+    };
+  };
+
+
+
+
+  /**********************************************************************
+  WebSocketPresentationMechanism
+  **********************************************************************/
+
+  /**
+   * The WebSocket presentation mechanism allows a user to present Web content
+   * on displays registered with a WebSocket relay server.
+   *
+   * @constructor
+   * @inherits {PresentationMechanism}
+   * @param {String} relayUrl The URL of the relay server
+   */
+  var WebSocketPresentationMechanism = function (relayUrl) {
+    extend.PresentationMechanism.call(this);
+    this.name = 'websocket presentation mechanism';
+    this.label = 'Displays on the relay server';
+
+    var that = this;
+    var relay = new RelayClient(relayUrl);
+
+    /**
+     * Displays registered with the relay, indexed by relay ID
+     */
+    var displays = {};
+
+    /**
+     * Data channels with remote peers, indexed by relay ID of the peer
+     */
+    var channels = {};
+
+    /**
+     * Promise resolved when the first list of displays has been received
+     */
+    var displaysReceived = null;
+    var displaysReceivedResolve = null;
+
+    /**
+     * Whether the page registered itself as a display
+     */
+    var isDisplay = false;
+
+
+    /**
+     * Update the list of known displays, reporting additions and removals
+     */
+    relay.handlers.displays = function (message) {
+      var newDisplays = {};
+      message.displays.forEach(function (info) {
+        if (info.id === relay.id) {
+          return;
+        }
+        newDisplays[info.id] = displays[info.id] ||
+          new WebSocketDisplay(relay, info, channels);
+      });
+      Object.keys(displays).forEach(function (id) {
+        if (!newDisplays[id] && that.ondisplayunavailable) {
+          that.ondisplayunavailable(displays[id]);
+        }
+      });
+      Object.keys(newDisplays).forEach(function (id) {
+        if (!displays[id] && that.ondisplayavailable) {
+          that.ondisplayavailable(newDisplays[id]);
+        }
+      });
+      displays = newDisplays;
+      if (displaysReceivedResolve) {
+        displaysReceivedResolve();
+        displaysReceivedResolve = null;
+      }
+    };
+
+    relay.handlers.connect = function (message) {
+      if (!isDisplay) {
+        return;
+      }
+      log('received connection request from controller', message.from);
+
+      // A controller that connects again supersedes the previous connection
+      if (channels[message.from]) {
+        channels[message.from].markClosed('wentaway',
+          'Controller reconnected');
+        delete channels[message.from];
+      }
+
+      var controller = new WebSocketRemoteController(relay, message.from, channels);
+      if (that.onincomingcontroller) {
+        that.onincomingcontroller(controller);
+      }
+    };
+
+    relay.handlers.connected = function (message) {
+      var channel = channels[message.from];
+      if (channel && channel.onconnected) {
+        log('display connected through relay', message.from);
+        channel.onconnected();
+        channel.onconnected = null;
+        channel.onconnectionerror = null;
+      }
+    };
+
+    relay.handlers.message = function (message) {
+      var channel = channels[message.from];
+      if (channel && (channel.state === 'connected') && channel.onmessage) {
+        log('received message through relay', message.data);
+        channel.onmessage({ data: message.data });
+      }
+    };
+
+    relay.handlers.close = function (message) {
+      var channel = channels[message.from];
+      if (channel && channel.onconnectionerror) {
+        log('warn', 'could not connect through relay', message.message);
+        channel.onconnectionerror(message.message);
+      }
+      else if (channel) {
+        log('received close message through relay', message.reason);
+        delete channels[message.from];
+        channel.markClosed(message.reason, message.message);
+      }
+    };
+
+    relay.handlers.terminate = function (message) {
+      if (!isDisplay) {
+        return;
+      }
+      log('controller terminated presentation', 'reload receiving page');
+      relay.send({ type: 'terminated' });
+      window.location.reload();
+    };
+
+    relay.handlers.terminated = function (message) {
+      var channel = channels[message.from];
+      if (channel) {
+        log('display terminated presentation', message.from);
+        delete channels[message.from];
+        channel.markTerminated();
+      }
+    };
+
+
+    // Connections cannot survive the loss of the socket. The relay tells the
+    // remote peers that this client went away.
+    relay.onsocketclose = function () {
+      Object.keys(channels).forEach(function (id) {
+        var channel = channels[id];
+        if (channel.onconnectionerror) {
+          channel.onconnectionerror('Connection to relay server lost');
+          return;
+        }
+        delete channels[id];
+        channel.markClosed('error', 'Connection to relay server lost');
+      });
+    };
+
+    relay.onwelcome = function () {
+      if (isDisplay) {
+        relay.send({
+          type: 'register',
+          name: navigator.presentationDisplayName,
+          url: normalizeUrl(window.location.href)
+        });
+      }
+      if (displaysReceived) {
+        relay.send({ type: 'subscribe' });
+      }
+    };
+
+
+    this.getAvailableDisplays = function () {
+      return that.monitorAvailableDisplays().then(function () {
+        return Object.keys(displays).map(function (id) {
+          return displays[id];
+        });
+      });
+    };
+
+    this.monitorAvailableDisplays = function () {
+      if (!displaysReceived) {
+        displaysReceived = new Promise(function (resolve, reject) {
+          displaysReceivedResolve = resolve;
+
+          // Do not block callers forever if the relay cannot be reached
+          setTimeout(resolve, 3000);
+        });
+        if (relay.id) {
+          relay.send({ type: 'subscribe' });
+        }
+        else {
+          // Subscription is sent once the relay welcomes the client
+          relay.open();
+        }
+      }
+      return displaysReceived;
+    };
+
+    this.restoreDisplay = function (url, identity) {
+      return that.monitorAvailableDisplays().then(function () {
+        var display = displays[identity.displayId];
+        if (!display || !display.canPresent(url)) {
+          throw new _DOMException('NotFoundError');
+        }
+        return display;
+      });
+    };
+
+    this.monitorIncomingControllers = function () {
+      if (!navigator.presentationDisplayName) {
+        log('page does not register itself as a display with the relay');
+        return;
+      }
+      log('register page as display "' + navigator.presentationDisplayName +
+        '" with the relay');
+      isDisplay = true;
+      relay.open();
+    };
+  };
+
+
+  // Register the mechanism with the shim if a relay is configured
+  if (navigator.presentationRelayUrl) {
+    extend.registerPresentationMechanism(
+      new WebSocketPresentationMechanism(navigator.presentationRelayUrl));
+  }
+
+  // Expose the mechanism so that applications may register other relays
+  extend.WebSocketPresentationMechanism = WebSocketPresentationMechanism;
+})();